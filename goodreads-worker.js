@@ -1,50 +1,319 @@
 // Goodreads RSS Feed Worker
-// Fetches currently reading books and caches them in KV
+// Fetches books from Goodreads shelves (or another book source, see
+// lib/books.js) and caches them in KV
 
-const CORS_HEADERS = {
-  'Access-Control-Allow-Origin': '*',
-  'Access-Control-Allow-Methods': 'GET, OPTIONS',
-  'Access-Control-Allow-Headers': 'Content-Type',
-  'Content-Type': 'application/json',
-};
+import { createBookFileSource } from './lib/book-file.js';
+import { createBook, getBookSource, shelfFromBooks, toISODate } from './lib/books.js';
+import { cardResponse, fetchImageDataURI, getCardOptions, renderCardHTML, renderCardSVG } from './lib/cards.js';
+import { addFeedRoutes } from './lib/feed.js';
+import { HARDCOVER_IMAGE_HOSTS, createHardcoverSource } from './lib/hardcover.js';
+import { HttpError, cacheHeaders, jsonResponse } from './lib/http.js';
+import { getPalette, imageHandler, proxyImageURL } from './lib/images.js';
+import { createKVStore } from './lib/kv.js';
+import { log } from './lib/log.js';
+import { createOpenLibrary, createOpenLibrarySource, smallerCover } from './lib/openlibrary.js';
+import { adminResponse, formatOverride, getOverride, putOverride, readOverrideRequest } from './lib/overrides.js';
+import { Router, createFetchHandler, createScheduledHandler } from './lib/router.js';
+import { createSubrequestBudget, subrequestLimit } from './lib/subrequests.js';
+import { createUpstream, refreshInBackground } from './lib/upstream.js';
+import { recordFetch, statusHandler, usageMeter } from './lib/usage.js';
+import { addUserRoutes, forEachAccount } from './lib/users.js';
+import { createEvent, dispatchEvents, handleWebhookQueue, withProxiedImages } from './lib/webhooks.js';
+
+// Durable Object classes must be exported from the entry module
+export { UsageMeter } from './lib/usage.js';
 
 // Cache duration: 1 hour
 const CACHE_TTL_MS = 3600000;
 
-// Parse Goodreads RSS feed
-function parseGoodreadsRSS(xml) {
-  const items = xml.match(/<item>[\s\S]*?<\/item>/g) || [];
+// KV reads are cached at the edge (Cache API) for up to 5 minutes
+const EDGE_CACHE_TTL = 300;
+
+// Matches the */30 cron trigger
+const SCHEDULE_INTERVAL_MS = 1800000;
+
+// Accent color for cards
+const GOODREADS_BROWN = '#b7791f';
+
+// Cover image hosts, served through /image/:id
+const IMAGE_HOSTS = ['gr-assets.com', 'ssl-images-amazon.com', 'media-amazon.com', 'openlibrary.org', ...HARDCOVER_IMAGE_HOSTS];
+
+// Book fields filled in from Open Library, and how many books to look up per
+// shelf update (a whole library import is filled in a few books at a time)
+const OPEN_LIBRARY_FIELDS = ['cover', 'pages', 'subjects', 'firstPublishYear', 'description', 'openLibrary'];
+const MAX_LOOKUPS_PER_UPDATE = 5;
+
+// What a shelf fetch and a cover palette (Cache API lookup, image, Cache API
+// store) take from a scheduled run's subrequest budget (see lib/subrequests.js)
+const SHELF_FETCH_SUBREQUESTS = 1;
+const PALETTE_SUBREQUESTS = 3;
+// A typical scheduled run for one account: the two default shelves, one cover
+// palette and one Open Library lookup. Sets how many users share a run.
+const SUBREQUESTS_PER_ACCOUNT = 2 * SHELF_FETCH_SUBREQUESTS + PALETTE_SUBREQUESTS + 3;
+
+// Shelf served at the root path and warmed when GOODREADS_SHELVES is not set
+const DEFAULT_SHELF = 'currently-reading';
+
+// Per-shelf cache durations - finished and queued books change far less often
+const SHELF_CACHE_TTL_MS = {
+  'currently-reading': CACHE_TTL_MS,
+  'read': 6 * CACHE_TTL_MS,
+  'to-read': 12 * CACHE_TTL_MS,
+};
+
+// Labels for the card header - other shelves use their own name
+const SHELF_CARD_LABELS = {
+  'currently-reading': 'Currently reading',
+  'read': 'Recently finished',
+  'to-read': 'Up next',
+};
+
+// KV key for reading statistics built from the "read" shelf
+const STATS_KEY = 'stats';
+const STATS_SHELF = 'read';
+const TOP_AUTHORS_LIMIT = 10;
+
+// The Goodreads RSS feed has at most 100 books per page. Shelves are served
+// from the first page; stats page through the read shelf up to a cap.
+const RSS_PAGE_SIZE = 100;
+const MAX_STATS_PAGES = 10;
+
+// Webhook events for books newly on a shelf (other shelves don't send any)
+const SHELF_EVENTS = {
+  'currently-reading': 'book.started',
+  'read': 'book.finished',
+};
+const MAX_EVENTS_PER_UPDATE = 5; // Don't announce a whole library import
+
+// KV key for recent book events, served as the activity feed
+const ACTIVITY_KEY = 'activity';
+const ACTIVITY_LIMIT = 50;
+
+// KV key for the book pinned as currently reading through /admin/book, and
+// how long it stays pinned unless the request says otherwise
+const BOOK_OVERRIDE_KEY = 'override:book';
+const BOOK_OVERRIDE_TTL = 7 * 86400;
+
+// Goodreads shelf names are lowercase words joined by dashes (custom shelves too)
+const SHELF_NAME_PATTERN = /^[a-z0-9_-]{1,64}$/;
+
+// KV key for a shelf - currently-reading keeps the original 'books' key
+function shelfCacheKey(shelf) {
+  return shelf === DEFAULT_SHELF ? 'books' : `books:${shelf}`;
+}
+
+// Parse GOODREADS_SHELVES ("currently-reading,read:360,to-read") into
+// [{ name, ttlMs }]. An optional ":minutes" suffix overrides the cache TTL.
+function getShelfConfig(env) {
+  const raw = env.GOODREADS_SHELVES || DEFAULT_SHELF;
+  const shelves = [];
   
-  if (items.length === 0) {
-    return { current: null, previous: null };
+  for (const entry of raw.split(',')) {
+    const [name, minutes] = entry.trim().toLowerCase().split(':');
+    if (!name || !SHELF_NAME_PATTERN.test(name)) continue;
+    
+    const ttlMs = Number(minutes) > 0
+      ? Number(minutes) * 60000
+      : (SHELF_CACHE_TTL_MS[name] || 6 * CACHE_TTL_MS);
+    shelves.push({ name, ttlMs });
   }
   
-  const books = items.map(item => {
-    // Helper to extract field with or without CDATA
-    const getField = (field) => {
-      // Try CDATA format first: <field><![CDATA[value]]></field>
-      let match = item.match(new RegExp(`<${field}><!\\[CDATA\\[([\\s\\S]*?)\\]\\]><\\/${field}>`));
-      if (match) return match[1].trim();
-      
-      // Try without CDATA: <field>value</field>
-      match = item.match(new RegExp(`<${field}>([^<]*)<\\/${field}>`));
-      return match ? match[1].trim() : '';
-    };
-    
-    return {
-      title: getField('title'),
-      author: getField('author_name'),
-      cover: getField('book_large_image_url'),
-      link: getField('link'),
-    };
+  return shelves.length > 0 ? shelves : [{ name: DEFAULT_SHELF, ttlMs: CACHE_TTL_MS }];
+}
+
+// Resolve a shelf (configured or not) to its cache settings
+function resolveShelf(env, name) {
+  const configured = getShelfConfig(env).find(shelf => shelf.name === name);
+  return configured || { name, ttlMs: SHELF_CACHE_TTL_MS[name] || 6 * CACHE_TTL_MS };
+}
+
+// Validate a shelf name from the URL - unknown formats are a 404
+function parseShelfName(name) {
+  const shelf = (name || '').toLowerCase();
+  if (!SHELF_NAME_PATTERN.test(shelf)) {
+    throw new HttpError(404, 'Not found');
+  }
+  return shelf;
+}
+
+// KV cache for this worker (and this user's keys, under /u/:handle)
+function cache(env) {
+  return createKVStore(env.GOODREADS_CACHE, 'goodreads', {
+    prefix: env.KV_PREFIX,
+    meter: usageMeter(env),
+  });
+}
+
+// KV keys shared by every user: circuit breakers, book details and library files
+function sharedCache(env) {
+  return createKVStore(env.GOODREADS_CACHE, 'goodreads', { meter: usageMeter(env) });
+}
+
+// Goodreads calls share one circuit breaker, whichever user they are for
+function goodreads(env) {
+  return createUpstream(sharedCache(env), 'goodreads', { label: 'Goodreads' });
+}
+
+function openLibrary(env) {
+  return createOpenLibrary(sharedCache(env), env);
+}
+
+// Named entities we expect in Goodreads feeds. Titles, descriptions and
+// reviews are HTML embedded in the XML, so HTML entities show up too.
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  hellip: '…', mdash: '—', ndash: '–',
+  lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+};
+
+// Decode named and numeric (&#39; / &#x27;) character references
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (entity, ref) => {
+    if (ref[0] === '#') {
+      const codePoint = ref[1] === 'x' || ref[1] === 'X'
+        ? parseInt(ref.slice(2), 16)
+        : parseInt(ref.slice(1), 10);
+      return codePoint > 0 && codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : entity;
+    }
+    return NAMED_ENTITIES[ref.toLowerCase()] ?? entity;
   });
+}
+
+// Turn an HTML fragment from the feed into plain text
+function htmlToText(html, { keepLineBreaks = false } = {}) {
+  let text = html;
+  if (keepLineBreaks) {
+    text = text.replace(/<br\s*\/?>/gi, '\n').replace(/<\/p>/gi, '\n\n');
+  }
+  text = decodeEntities(text.replace(/<\/?[a-z][^>]*>/gi, ''));
+  
+  if (keepLineBreaks) {
+    return text.replace(/[ \t ]+/g, ' ').replace(/ *\n */g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+  }
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+// Minimal XML parser - enough for RSS: elements, attributes, text, CDATA.
+// Comments, processing instructions and doctypes are skipped, and
+// mismatched closing tags are tolerated rather than treated as fatal.
+function parseXML(xml) {
+  const root = { name: '#document', attributes: {}, children: [], text: '' };
+  const stack = [root];
+  let pos = 0;
+  
+  const skipTo = (terminator, from) => {
+    const end = xml.indexOf(terminator, from);
+    return end === -1 ? xml.length : end + terminator.length;
+  };
+  
+  while (pos < xml.length) {
+    const current = stack[stack.length - 1];
+    const lt = xml.indexOf('<', pos);
+    
+    if (lt === -1) {
+      current.text += decodeEntities(xml.slice(pos));
+      break;
+    }
+    if (lt > pos) {
+      current.text += decodeEntities(xml.slice(pos, lt));
+    }
+    
+    if (xml.startsWith('<![CDATA[', lt)) {
+      const end = xml.indexOf(']]>', lt + 9);
+      current.text += xml.slice(lt + 9, end === -1 ? xml.length : end);
+      pos = end === -1 ? xml.length : end + 3;
+    } else if (xml.startsWith('<!--', lt)) {
+      pos = skipTo('-->', lt + 4);
+    } else if (xml.startsWith('<?', lt)) {
+      pos = skipTo('?>', lt + 2);
+    } else if (xml.startsWith('<!', lt)) {
+      pos = skipTo('>', lt + 2);
+    } else if (xml.startsWith('</', lt)) {
+      const end = skipTo('>', lt + 2);
+      const name = xml.slice(lt + 2, end - 1).trim();
+      // Pop back to the matching element; ignore stray closing tags
+      const index = stack.map(el => el.name).lastIndexOf(name);
+      if (index > 0) stack.length = index;
+      pos = end;
+    } else {
+      const match = /^<([^\s/>]+)((?:\s+[^\s=/>]+(?:\s*=\s*(?:"[^"]*"|'[^']*'))?)*)\s*(\/?)>/.exec(xml.slice(lt));
+      if (!match) {
+        // Not a tag after all (e.g. a bare "<" in text)
+        current.text += '<';
+        pos = lt + 1;
+        continue;
+      }
+      
+      const element = { name: match[1], attributes: {}, children: [], text: '' };
+      for (const [, key, , doubleQuoted, singleQuoted] of match[2].matchAll(/([^\s=/>]+)(\s*=\s*(?:"([^"]*)"|'([^']*)'))?/g)) {
+        element.attributes[key] = decodeEntities(doubleQuoted ?? singleQuoted ?? '');
+      }
+      
+      current.children.push(element);
+      if (!match[3]) stack.push(element);
+      pos = lt + match[0].length;
+    }
+  }
+  
+  return root;
+}
+
+// Depth-first search for every element with the given name
+function findElements(node, name, results = []) {
+  for (const child of node.children) {
+    if (child.name === name) results.push(child);
+    else findElements(child, name, results);
+  }
+  return results;
+}
+
+// Map of element name -> raw text for all descendants (first occurrence wins),
+// so nested fields like <book><num_pages> are reachable by name
+function collectFields(node, fields = {}) {
+  for (const child of node.children) {
+    if (!(child.name in fields)) fields[child.name] = child.text.trim();
+    collectFields(child, fields);
+  }
+  return fields;
+}
+
+function toNumber(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// Build a book object from an RSS <item>
+function parseBookItem(item) {
+  const fields = collectFields(item);
+  const text = (name) => htmlToText(fields[name] || '');
+  
+  const userRating = toNumber(fields.user_rating);
+  const publishedYear = toNumber(fields.book_published);
   
   return {
-    current: books[0] || null,
-    previous: books[1] || null,
+    // Original fields - kept first for existing frontends
+    title: text('title'),
+    author: text('author_name'),
+    cover: text('book_large_image_url') || text('book_image_url'),
+    link: text('link'),
+    
+    id: text('book_id') || null,
+    isbn: text('isbn') || null,
+    pages: toNumber(fields.num_pages),
+    userRating: userRating > 0 ? userRating : null, // 0 means unrated
+    averageRating: toNumber(fields.average_rating),
+    dateAdded: toISODate(fields.user_date_added),
+    dateRead: toISODate(fields.user_read_at),
+    publishedYear: publishedYear > 0 ? publishedYear : null,
+    review: htmlToText(fields.user_review || '', { keepLineBreaks: true }) || null,
   };
 }
 
+// Parse Goodreads RSS feed into every book on the shelf, in feed order
+function parseGoodreadsRSS(xml) {
+  return findElements(parseXML(xml), 'item').map(parseBookItem);
+}
+
 // Check if the book has changed (comparing title + author)
 function hasBookChanged(newBooks, existingBooks) {
   if (!existingBooks?.current) return true;
@@ -54,143 +323,751 @@ function hasBookChanged(newBooks, existingBooks) {
          newBooks.current.author !== existingBooks.current.author;
 }
 
-// Fetch RSS feed from Goodreads
-async function fetchGoodreadsRSS(userId) {
-  const rssUrl = `https://www.goodreads.com/review/list_rss/${userId}?shelf=currently-reading`;
+// Stable summary of a shelf - covers books being added, removed, finished or re-rated
+function shelfFingerprint(books) {
+  return (books?.books || [])
+    .map(book => [book.title, book.author, book.dateRead, book.userRating].join('|'))
+    .join('\n');
+}
+
+// Check if anything on the shelf changed, not just the most recent book.
+// Books move to "read" keeping their original date added, so a newly
+// finished book isn't necessarily `current`.
+function hasShelfChanged(newBooks, existingBooks) {
+  if (hasBookChanged(newBooks, existingBooks)) return true;
+  if (!newBooks?.current) return false; // Same rule as hasBookChanged - empty is likely an error
   
-  const response = await fetch(rssUrl, {
-    headers: {
-      'User-Agent': 'Mozilla/5.0 (compatible; GoodreadsWorker/1.0)',
-    },
-  });
+  return shelfFingerprint(newBooks) !== shelfFingerprint(existingBooks);
+}
+
+// Add the cover's colour palette to the books a page shows prominently, as
+// far as `subrequests` allows
+async function withCoverPalettes(books, { subrequests } = {}) {
+  for (const book of [books.current, books.previous]) {
+    if (!book) continue;
+    if (subrequests && !subrequests.take(PALETTE_SUBREQUESTS)) break;
+    book.palette = await getPalette(smallerCover(book.cover));
+  }
+  return books;
+}
+
+// Identifies a book across updates of a shelf
+function bookKey(book) {
+  return book.id || book.link || `${book.title}|${book.author}`;
+}
+
+// The fields a book gets from its Open Library `details` (null if Open
+// Library doesn't have the book). Goodreads' page count is kept when it has one.
+function openLibraryFields(book, details) {
+  if (!details) return { openLibrary: null };
+  
+  return {
+    cover: details.cover || book.cover,
+    pages: book.pages || details.pages,
+    subjects: details.subjects,
+    firstPublishYear: details.firstPublishYear,
+    description: details.description,
+    openLibrary: details.url,
+  };
+}
+
+// Fill in books from Open Library. Books already looked up keep their details
+// from `existingBooks`, so only books new on the shelf are looked up; a failed
+// lookup (or one `subrequests` has no room for) leaves the book as the feed
+// has it, to be tried again next update.
+async function withOpenLibrary(env, books, existingBooks, { subrequests } = {}) {
+  const lookedUp = new Map((existingBooks?.books || [])
+    .filter(book => book.openLibrary !== undefined)
+    .map(book => [bookKey(book), book]));
+  let lookups = 0;
   
-  if (!response.ok) {
-    throw new Error(`Goodreads RSS returned ${response.status}`);
+  for (const book of books.books) {
+    const existing = lookedUp.get(bookKey(book));
+    if (existing) {
+      for (const field of OPEN_LIBRARY_FIELDS) book[field] = existing[field];
+    } else if (lookups < MAX_LOOKUPS_PER_UPDATE) {
+      lookups++;
+      const entry = await openLibrary(env).lookup(book, { subrequests });
+      if (entry) Object.assign(book, openLibraryFields(book, entry.details));
+    }
   }
+  return books;
+}
+
+// Whether an update filled in Open Library details that the cached shelf
+// doesn't have yet. Until every book is looked up, that's a reason to store
+// the shelf even though nothing on Goodreads changed.
+function hasNewOpenLibraryDetails(newBooks, existingBooks) {
+  const lookedUp = new Set((existingBooks?.books || [])
+    .filter(book => book.openLibrary !== undefined)
+    .map(bookKey));
+  return (newBooks?.books || []).some(book => book.openLibrary !== undefined && !lookedUp.has(bookKey(book)));
+}
+
+// Change events for books that appeared on a shelf since the last update
+function shelfEvents(shelfName, newBooks, existingBooks) {
+  const type = SHELF_EVENTS[shelfName];
+  // Nothing to compare with on the first fetch (or a cache from before full shelves)
+  if (!type || !existingBooks?.books) return [];
+  
+  const known = new Set(existingBooks.books.map(bookKey));
   
-  return response.text();
+  return (newBooks?.books || [])
+    .filter(book => !known.has(bookKey(book)))
+    .slice(0, MAX_EVENTS_PER_UPDATE)
+    .map(book => createEvent(type, bookKey(book), {
+      title: book.title,
+      author: book.author,
+      cover: book.cover,
+      link: book.link,
+      shelf: shelfName,
+    }));
 }
 
-export default {
-  async fetch(request, env) {
-    // Handle CORS preflight
-    if (request.method === 'OPTIONS') {
-      return new Response(null, { headers: CORS_HEADERS });
+// Record book events for the activity feed, then send them to webhooks (after
+// the response, given ctx). Events only happen when a shelf changes, so this
+// adds very few KV writes.
+async function publishEvents(env, events, { ctx } = {}) {
+  if (events.length === 0) return;
+  
+  try {
+    const activity = await cache(env).get(ACTIVITY_KEY);
+    await cache(env).put(ACTIVITY_KEY, {
+      events: [...events, ...(activity?.events || [])].slice(0, ACTIVITY_LIMIT),
+    }, { priority: 'low' });
+  } catch (error) {
+    log('error', 'Failed to record activity', { error: error.message });
+  }
+  
+  await dispatchEvents(env, events, { ctx, imageHosts: IMAGE_HOSTS });
+}
+
+// Recent book events, newest first, with covers served from `base`/image
+async function getActivityEvents(env, { base } = {}) {
+  const activity = await cache(env).get(ACTIVITY_KEY, { cacheTtl: EDGE_CACHE_TTL });
+  return withProxiedImages(activity?.events || [], base, IMAGE_HOSTS);
+}
+
+// Fetch RSS feed for a shelf from Goodreads, one page at a time
+async function fetchGoodreadsRSS(env, shelf = DEFAULT_SHELF, page = 1) {
+  const userId = env.GOODREADS_USER_ID;
+  let rssUrl = `https://www.goodreads.com/review/list_rss/${userId}?shelf=${encodeURIComponent(shelf)}`;
+  if (page > 1) rssUrl += `&page=${page}`;
+  
+  try {
+    const response = await goodreads(env).fetch(rssUrl, {
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (compatible; GoodreadsWorker/1.0)',
+      },
+    });
+    
+    if (!response.ok) {
+      throw new Error(`Goodreads RSS returned ${response.status}`);
     }
     
-    try {
-      // Check cache first
-      const cached = await env.GOODREADS_CACHE.get('books', 'json');
-      const cacheValid = cached?.timestamp && (Date.now() - cached.timestamp < CACHE_TTL_MS);
-      
-      if (cacheValid) {
-        return new Response(JSON.stringify(cached.data), { headers: CORS_HEADERS });
-      }
-      
-      // Fetch fresh data from Goodreads RSS
-      const userId = env.GOODREADS_USER_ID;
-      
-      let books;
-      try {
-        const xml = await fetchGoodreadsRSS(userId);
-        books = parseGoodreadsRSS(xml);
-      } catch (fetchError) {
-        // If fetch fails but we have cached data, return stale cache
-        if (cached?.data) {
-          console.log('Fetch failed, returning stale cache:', fetchError.message);
-          return new Response(JSON.stringify(cached.data), { headers: CORS_HEADERS });
+    const xml = await response.text();
+    recordFetch(env, 'goodreads');
+    return xml;
+  } catch (error) {
+    recordFetch(env, 'goodreads', error);
+    throw error;
+  }
+}
+
+// The Goodreads RSS feed as a book source (see lib/books.js). Reads up to
+// `maxPages` pages, each taken from `subrequests` when given; a page that
+// doesn't fit fails the fetch rather than return part of the shelf.
+function goodreadsSource(env) {
+  return {
+    name: 'goodreads',
+    hasAccount: async () => !!env.GOODREADS_USER_ID,
+    fetchShelf: async (shelf, { maxPages = 1, subrequests } = {}) => {
+      const books = [];
+      for (let page = 1; page <= maxPages; page++) {
+        if (subrequests && !subrequests.take(SHELF_FETCH_SUBREQUESTS)) {
+          throw new Error(`Subrequest budget used up before page ${page} of the "${shelf}" shelf`);
         }
-        throw fetchError;
+        const items = parseGoodreadsRSS(await fetchGoodreadsRSS(env, shelf, page));
+        books.push(...items);
+        if (items.length < RSS_PAGE_SIZE) break;
       }
-      
-      // Only write to KV if the actual book changed (title + author)
-      // This prevents overwriting good data with null on temporary errors
-      const existingBooks = cached?.data || null;
-      const bookChanged = hasBookChanged(books, existingBooks);
-      
-      if (bookChanged) {
-        const cacheData = {
-          data: books,
-          timestamp: Date.now(),
-        };
-        
-        await env.GOODREADS_CACHE.put('books', JSON.stringify(cacheData));
-        
-        console.log('Goodreads cache updated - book changed', {
-          old: existingBooks?.current?.title || 'none',
-          new: books.current?.title || 'none',
-        });
-      } else if (!cached) {
-        // No existing cache, save even if null
-        const cacheData = {
-          data: books,
-          timestamp: Date.now(),
-        };
-        await env.GOODREADS_CACHE.put('books', JSON.stringify(cacheData));
-        console.log('Goodreads cache initialized');
-      } else {
-        // Just update timestamp to extend cache TTL
-        const cacheData = {
-          data: existingBooks,
-          timestamp: Date.now(),
-        };
-        await env.GOODREADS_CACHE.put('books', JSON.stringify(cacheData));
-        console.log('Goodreads cache TTL extended, book unchanged');
-      }
-      
-      return new Response(JSON.stringify(books), { headers: CORS_HEADERS });
-      
-    } catch (error) {
-      console.error('Error in fetch handler:', error.message);
-      return new Response(
-        JSON.stringify({ error: 'Failed to fetch Goodreads data', message: error.message }),
-        { status: 500, headers: CORS_HEADERS }
-      );
+      return books;
+    },
+  };
+}
+
+// The book sources an account can use, by name. BOOK_SOURCE picks one.
+function availableSources(env) {
+  return {
+    goodreads: goodreadsSource(env),
+    hardcover: createHardcoverSource(env, sharedCache(env)),
+    openlibrary: createOpenLibrarySource(env, sharedCache(env)),
+    file: createBookFileSource(env, { store: sharedCache(env), bucket: env.BOOKS_BUCKET }),
+  };
+}
+
+async function hasAccount(env) {
+  return !!await getBookSource(env, availableSources(env));
+}
+
+// Every book on a shelf from the account's book source, newest added first.
+// `current` and `previous` keep the original response shape. `options` go to
+// sources that read a shelf in pages (see goodreadsSource).
+async function fetchShelf(env, shelf = DEFAULT_SHELF, options = {}) {
+  const source = await getBookSource(env, availableSources(env));
+  if (!source) {
+    // e.g. a user in USERS who only set up Spotify
+    throw new HttpError(404, 'No book source configured');
+  }
+  return shelfFromBooks(await source.fetchShelf(shelf, options));
+}
+
+function roundTo(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+// Aggregate the "read" shelf into yearly/monthly totals, ratings and top
+// authors. Books are bucketed by the (UTC) date they were finished; books
+// without a read date only count towards the totals.
+function computeReadingStats(books) {
+  const list = books?.books || [];
+  const byYear = {};
+  const byMonth = {};
+  const authors = {};
+  let pages = 0;
+  let ratingSum = 0;
+  let ratedBooks = 0;
+  let undated = 0;
+  
+  for (const book of list) {
+    pages += book.pages || 0;
+    
+    if (book.userRating) {
+      ratingSum += book.userRating;
+      ratedBooks++;
     }
-  },
+    
+    if (book.author) {
+      authors[book.author] = (authors[book.author] || 0) + 1;
+    }
+    
+    if (!book.dateRead) {
+      undated++;
+      continue;
+    }
+    
+    const year = book.dateRead.slice(0, 4);
+    const month = book.dateRead.slice(0, 7);
+    byYear[year] = byYear[year] || { books: 0, pages: 0 };
+    byMonth[month] = byMonth[month] || { books: 0, pages: 0 };
+    byYear[year].books++;
+    byYear[year].pages += book.pages || 0;
+    byMonth[month].books++;
+    byMonth[month].pages += book.pages || 0;
+  }
   
-  // Scheduled event to keep cache warm
-  async scheduled(event, env, ctx) {
-    try {
-      const existingCache = await env.GOODREADS_CACHE.get('books', 'json');
-      const existingBooks = existingCache?.data || null;
-      
-      const userId = env.GOODREADS_USER_ID;
-      
-      let xml;
-      try {
-        xml = await fetchGoodreadsRSS(userId);
-      } catch (fetchError) {
-        console.error('Scheduled fetch failed:', fetchError.message);
-        // Don't update cache on fetch failure - keep existing data
-        return;
-      }
-      
-      const books = parseGoodreadsRSS(xml);
-      
-      // Only write to KV if the actual book changed
-      const bookChanged = hasBookChanged(books, existingBooks);
-      
-      if (!bookChanged && existingBooks) {
-        console.log('Scheduled: Book unchanged, skipping KV write', {
-          title: books.current?.title,
-        });
-        return;
-      }
-      
-      const cacheData = {
-        data: books,
-        timestamp: Date.now(),
-      };
-      
-      await env.GOODREADS_CACHE.put('books', JSON.stringify(cacheData));
-      
-      console.log('Scheduled: Goodreads cache updated', {
+  const topAuthors = Object.entries(authors)
+    .sort(([nameA, countA], [nameB, countB]) => countB - countA || nameA.localeCompare(nameB))
+    .slice(0, TOP_AUTHORS_LIMIT)
+    .map(([author, count]) => ({ author, books: count }));
+  
+  // Month keys aren't integer-like, so order them explicitly (years sort themselves)
+  const sortedByMonth = Object.fromEntries(Object.entries(byMonth).sort(([a], [b]) => a.localeCompare(b)));
+  
+  return {
+    totals: { books: list.length, pages, undated },
+    averageRating: ratedBooks > 0 ? roundTo(ratingSum / ratedBooks, 2) : null,
+    ratedBooks,
+    byYear,
+    byMonth: sortedByMonth,
+    topAuthors,
+  };
+}
+
+// Progress towards the yearly goal, including where you "should" be today.
+// Computed per request so it stays current without any KV writes.
+function getGoalProgress(stats, yearlyGoal, now = new Date()) {
+  const year = now.getUTCFullYear();
+  const read = stats.byYear[year]?.books || 0;
+  
+  if (!yearlyGoal) {
+    return { year, target: null, read };
+  }
+  
+  const startOfYear = Date.UTC(year, 0, 1);
+  const yearLength = Date.UTC(year + 1, 0, 1) - startOfYear;
+  const expected = yearlyGoal * (now.getTime() - startOfYear) / yearLength;
+  
+  return {
+    year,
+    target: yearlyGoal,
+    read,
+    percent: roundTo(read / yearlyGoal * 100, 1),
+    expectedByNow: roundTo(expected, 1),
+    aheadBy: roundTo(read - expected, 1),
+  };
+}
+
+function getYearlyGoal(env) {
+  const goal = parseInt(env.GOODREADS_YEARLY_GOAL, 10);
+  return goal > 0 ? goal : null;
+}
+
+// Recompute stats only when the read shelf changed since they were last built.
+// `readBooks` is the shelf as served, which for the Goodreads feed is only its
+// first page; a full page means the rest of the shelf is fetched for the stats.
+async function refreshStats(env, readBooks, { subrequests } = {}) {
+  if (!readBooks?.current) return null; // Fetch failed or empty shelf - keep existing stats
+  
+  const existingStats = await cache(env).get(STATS_KEY);
+  const fingerprint = shelfFingerprint(readBooks);
+  
+  if (existingStats?.fingerprint === fingerprint) {
+    log('info', 'Scheduled: Read shelf unchanged, skipping stats write');
+    return existingStats;
+  }
+  
+  const allBooks = readBooks.books.length < RSS_PAGE_SIZE
+    ? readBooks
+    : await fetchShelf(env, STATS_SHELF, { maxPages: MAX_STATS_PAGES, subrequests });
+  
+  const cacheData = {
+    data: computeReadingStats(allBooks),
+    fingerprint,
+    timestamp: Date.now(),
+  };
+  
+  // Stats can be rebuilt from the read shelf at any time
+  await cache(env).put(STATS_KEY, cacheData, { priority: 'low' });
+  
+  log('info', 'Goodreads stats updated', {
+    books: cacheData.data.totals.books,
+  });
+  return cacheData;
+}
+
+// Books on a shelf as the cache entry { data, timestamp }, served from KV
+// within the shelf's TTL and refreshed from the RSS feed after that. With ctx,
+// stale data is served right away and refreshed in the background.
+async function getShelfBooks(env, shelf, { ctx } = {}) {
+  const cacheKey = shelfCacheKey(shelf.name);
+  const isFresh = (entry) => entry?.timestamp && (Date.now() - entry.timestamp < shelf.ttlMs);
+  
+  // Check cache first - the edge copy, then KV itself, which may have been
+  // refreshed since the edge copy was taken
+  let cached = await cache(env).get(cacheKey, { cacheTtl: EDGE_CACHE_TTL });
+  if (!isFresh(cached)) {
+    cached = await cache(env).get(cacheKey);
+  }
+  
+  if (isFresh(cached)) {
+    return cached;
+  }
+  
+  if (cached?.data && ctx) {
+    refreshInBackground(ctx, `goodreads:${env.KV_PREFIX || ''}${cacheKey}`, () => refreshShelfBooks(env, shelf, cached, { ctx }));
+    return cached;
+  }
+  return refreshShelfBooks(env, shelf, cached, { ctx });
+}
+
+// Fetch a shelf from the RSS feed and cache it if it changed. Falls back to
+// the stale `cached` entry if Goodreads is down, unless staleOnError is false.
+async function refreshShelfBooks(env, shelf, cached, { staleOnError = true, ctx } = {}) {
+  const cacheKey = shelfCacheKey(shelf.name);
+  
+  // Fetch fresh data from the book source
+  let books;
+  try {
+    books = await fetchShelf(env, shelf.name);
+  } catch (fetchError) {
+    // If fetch fails but we have cached data, return stale cache
+    if (cached?.data && staleOnError) {
+      log('warn', 'Fetch failed, returning stale cache', { shelf: shelf.name, error: fetchError.message });
+      return cached;
+    }
+    throw fetchError;
+  }
+  
+  // Only write to KV if the actual book changed (title + author)
+  // This prevents overwriting good data with null on temporary errors
+  const existingBooks = cached?.data || null;
+  const shelfChanged = hasShelfChanged(books, existingBooks);
+  
+  // Books not looked up yet get their Open Library details a few per update,
+  // so those have to be stored even when the shelf itself is unchanged
+  books = await withCoverPalettes(await withOpenLibrary(env, books, existingBooks));
+  const detailsAdded = hasNewOpenLibraryDetails(books, existingBooks);
+  
+  if (shelfChanged) {
+    const cacheData = {
+      data: books,
+      timestamp: Date.now(),
+    };
+    
+    // Events are only announced once the change is stored, so a write the
+    // budget turned away doesn't announce the same change again next time
+    if (await cache(env).put(cacheKey, cacheData)) {
+      log('info', 'Goodreads cache updated - book changed', {
+        shelf: shelf.name,
         old: existingBooks?.current?.title || 'none',
         new: books.current?.title || 'none',
       });
+      
+      await publishEvents(env, shelfEvents(shelf.name, books, existingBooks), { ctx });
+    }
+  } else if (!cached) {
+    // No existing cache, save even if null
+    const cacheData = {
+      data: books,
+      timestamp: Date.now(),
+    };
+    await cache(env).put(cacheKey, cacheData);
+    log('info', 'Goodreads cache initialized', { shelf: shelf.name });
+  } else {
+    // Store the newly filled-in details, or just update the timestamp to
+    // extend the cache TTL. Skipped first when the write budget runs low -
+    // the shelf is then re-checked (and the details looked up from their
+    // cache) on the next request instead.
+    const cacheData = {
+      data: books,
+      timestamp: Date.now(),
+    };
+    await cache(env).put(cacheKey, cacheData, { priority: 'low' });
+    log('info', detailsAdded
+      ? 'Goodreads cache updated - Open Library details added'
+      : 'Goodreads cache TTL extended, book unchanged', { shelf: shelf.name });
+  }
+  
+  return { data: books, timestamp: Date.now() };
+}
+
+// Render the most recent book on a shelf as a card, cached for the shelf's TTL
+async function handleCard(entry, shelf, format, url) {
+  const { theme, size } = getCardOptions(url);
+  const book = entry.data?.current;
+  const detail = [
+    book?.pages ? `${book.pages} pages` : '',
+    book?.publishedYear ? `Published ${book.publishedYear}` : '',
+  ].filter(Boolean).join(' · ');
+  
+  const svg = renderCardSVG({
+    theme,
+    size,
+    accent: GOODREADS_BROWN,
+    label: SHELF_CARD_LABELS[shelf.name] || shelf.name.replace(/[-_]/g, ' '),
+    title: book?.title || 'Nothing on this shelf',
+    subtitle: book?.author ? `by ${book.author}` : '',
+    detail,
+    image: await fetchImageDataURI(book?.cover),
+  });
+  
+  const maxAge = Math.round(shelf.ttlMs / 1000);
+  const lastModified = entry.timestamp;
+  if (format === 'html') {
+    const html = renderCardHTML(svg, { title: book?.title || 'Goodreads', link: book?.link });
+    return cardResponse(html, 'html', maxAge, { lastModified });
+  }
+  return cardResponse(svg, 'svg', maxAge, { lastModified });
+}
+
+// Refresh a single shelf from the scheduled handler - writes only on change.
+// Its fetches come out of the run's `subrequests` budget; a shelf that
+// doesn't fit waits for the next run.
+async function warmShelf(env, shelf, { ctx, subrequests } = {}) {
+  const cacheKey = shelfCacheKey(shelf.name);
+  const existingCache = await cache(env).get(cacheKey);
+  const existingBooks = existingCache?.data || null;
+  
+  if (subrequests && !subrequests.take(SHELF_FETCH_SUBREQUESTS)) {
+    log('warn', 'Scheduled: Subrequest budget used up, skipping shelf until the next run', { shelf: shelf.name });
+    return null;
+  }
+  
+  let books;
+  try {
+    books = await fetchShelf(env, shelf.name);
+  } catch (fetchError) {
+    log('error', 'Scheduled fetch failed', { shelf: shelf.name, error: fetchError.message });
+    // Don't update cache on fetch failure - keep existing data
+    return null;
+  }
+  
+  // Only write to KV if something on the shelf changed, or more of its
+  // books got their Open Library details
+  const shelfChanged = hasShelfChanged(books, existingBooks);
+  books = await withOpenLibrary(env, books, existingBooks, { subrequests });
+  
+  if (!shelfChanged && existingBooks && !hasNewOpenLibraryDetails(books, existingBooks)) {
+    log('info', 'Scheduled: Book unchanged, skipping KV write', {
+      shelf: shelf.name,
+      title: books.current?.title,
+    });
+    return books;
+  }
+  
+  const cacheData = {
+    data: await withCoverPalettes(books, { subrequests }),
+    timestamp: Date.now(),
+  };
+  
+  // Details alone can wait for a later run when the write budget runs low
+  if (!await cache(env).put(cacheKey, cacheData, { priority: shelfChanged || !existingBooks ? 'normal' : 'low' })) {
+    return books;
+  }
+  
+  if (!shelfChanged && existingBooks) {
+    log('info', 'Scheduled: Goodreads cache updated - Open Library details added', { shelf: shelf.name });
+    return books;
+  }
+  
+  log('info', 'Scheduled: Goodreads cache updated', {
+    shelf: shelf.name,
+    old: existingBooks?.current?.title || 'none',
+    new: books.current?.title || 'none',
+  });
+  
+  await publishEvents(env, shelfEvents(shelf.name, books, existingBooks), { ctx });
+  return books;
+}
+
+// Serve reading stats, building them on first request if the cron hasn't yet
+async function handleStats({ env }) {
+  let cached = await cache(env).get(STATS_KEY, { cacheTtl: EDGE_CACHE_TTL });
+  
+  if (!cached) {
+    const readBooks = await fetchShelf(env, STATS_SHELF);
+    cached = await refreshStats(env, readBooks) || {
+      data: computeReadingStats(readBooks), // Empty shelf - nothing worth caching
+      timestamp: Date.now(),
+    };
+  }
+  
+  const stats = {
+    ...cached.data,
+    goal: getGoalProgress(cached.data, getYearlyGoal(env)),
+    updatedAt: new Date(cached.timestamp).toISOString(),
+  };
+  
+  const maxAge = Math.round(resolveShelf(env, STATS_SHELF).ttlMs / 1000);
+  return jsonResponse(stats, 200, cacheHeaders(maxAge, { lastModified: cached.timestamp }));
+}
+
+// Review text is only shown to API key holders once API_KEYS is configured
+function withoutReviews(books) {
+  const strip = (book) => book && { ...book, review: null };
+  return {
+    ...books,
+    current: strip(books.current),
+    previous: strip(books.previous),
+    books: (books.books || []).map(strip),
+  };
+}
+
+// Covers as served by this worker (/image/:id) rather than Goodreads' CDN
+function withProxiedCovers(books, base) {
+  const proxy = (book) => book && { ...book, cover: proxyImageURL(base, book.cover, IMAGE_HOSTS) };
+  return {
+    ...books,
+    current: proxy(books.current),
+    previous: proxy(books.previous),
+    books: (books.books || []).map(proxy),
+  };
+}
+
+// A shelf's cache entry with the book pinned through /admin/book, if there
+// is one, as the current book on the currently-reading shelf. The pin wins
+// over the book source until it expires.
+async function withBookOverride(env, shelf, entry) {
+  if (shelf.name !== DEFAULT_SHELF) return entry;
+  const override = await getOverride(cache(env), BOOK_OVERRIDE_KEY, { cacheTtl: EDGE_CACHE_TTL });
+  if (!override) return entry;
+  
+  const books = [
+    override.book,
+    ...(entry?.data?.books || []).filter(book => bookKey(book) !== bookKey(override.book)),
+  ];
+  return {
+    ...entry,
+    data: { ...entry?.data, current: books[0], previous: books[1] || null, books },
+    timestamp: Math.max(entry?.timestamp || 0, override.setAt),
+  };
+}
+
+// Serve a shelf as JSON - the root path is the currently-reading shelf
+async function handleShelf({ env, ctx, params, authorized, base }) {
+  const shelf = resolveShelf(env, params.shelf ? parseShelfName(params.shelf) : DEFAULT_SHELF);
+  const { data: books, timestamp } = await withBookOverride(env, shelf, await getShelfBooks(env, shelf, { ctx }));
+  return jsonResponse(
+    withProxiedCovers(authorized ? books : withoutReviews(books), base),
+    200,
+    cacheHeaders(Math.round(shelf.ttlMs / 1000), { lastModified: timestamp })
+  );
+}
+
+// The current book for the combined worker's /now, as { data, timestamp }.
+// Only read from KV: whatever the last refresh stored, however old.
+async function getCurrentBook(env, { authorized, base }) {
+  const shelf = resolveShelf(env, DEFAULT_SHELF);
+  const entry = await cache(env).get(shelfCacheKey(shelf.name), { cacheTtl: EDGE_CACHE_TTL });
+  const cached = await withBookOverride(env, shelf, entry);
+  const books = cached?.data ? withProxiedCovers(authorized ? cached.data : withoutReviews(cached.data), base) : null;
+  
+  return {
+    data: books?.current || null,
+    timestamp: cached?.timestamp || null,
+  };
+}
+
+// /card.svg and /card.html - the shelf is picked with ?shelf=
+function cardHandler(format) {
+  return async ({ env, ctx, url }) => {
+    const shelf = resolveShelf(env, parseShelfName(url.searchParams.get('shelf') || DEFAULT_SHELF));
+    return handleCard(await withBookOverride(env, shelf, await getShelfBooks(env, shelf, { ctx })), shelf, format, url);
+  };
+}
+
+// Keep the configured shelves and reading stats warm, sharing the run's
+// subrequest budget between the shelves
+async function warmShelves(event, env, ctx, { subrequests } = {}) {
+  const shelves = getShelfConfig(env);
+  // Stats are built from the read shelf, so always refresh it
+  if (!shelves.some(shelf => shelf.name === STATS_SHELF)) {
+    shelves.push(resolveShelf(env, STATS_SHELF));
+  }
+  
+  // Shelves are refreshed one at a time so a single failure doesn't skip the rest
+  for (const [index, shelf] of shelves.entries()) {
+    try {
+      const books = await warmShelf(env, shelf, { ctx, subrequests: subrequests?.share(shelves.length - index) });
+      if (shelf.name === STATS_SHELF) {
+        await refreshStats(env, books, { subrequests });
+      }
     } catch (error) {
-      console.error('Scheduled handler failed:', error);
+      log('error', 'Scheduled handler failed', { shelf: shelf.name, error: error.message });
     }
-  },
+  }
+}
+
+// GET /admin/book - the pinned book, if any
+async function handleGetBookOverride({ env }) {
+  return adminResponse({ override: formatOverride(await getOverride(cache(env), BOOK_OVERRIDE_KEY)) });
+}
+
+// POST /admin/book - pin a book as currently reading until expiresIn seconds
+// from now: { "book": { "title": ..., ... } }, or without a book the one the
+// shelf currently shows, so a later change on Goodreads doesn't replace it
+async function handlePinBook({ request, env }) {
+  const { body, expiresAt } = await readOverrideRequest(request, { defaultTtl: BOOK_OVERRIDE_TTL });
+  
+  let book;
+  if (body.book !== undefined) {
+    if (!body.book || typeof body.book !== 'object' || typeof body.book.title !== 'string' || !body.book.title.trim()) {
+      throw new HttpError(400, 'book must be an object with a title');
+    }
+    book = createBook(body.book);
+  } else {
+    book = (await cache(env).get(shelfCacheKey(DEFAULT_SHELF)))?.data?.current;
+    if (!book) {
+      throw new HttpError(404, 'Nothing on the currently-reading shelf to pin, send a book instead');
+    }
+  }
+  
+  const override = await putOverride(cache(env), BOOK_OVERRIDE_KEY, {
+    book,
+    pinned: body.book === undefined,
+    setAt: Date.now(),
+    expiresAt,
+  });
+  log('info', 'Current book overridden', { title: book.title, expiresAt: new Date(expiresAt).toISOString() });
+  return adminResponse({ override: formatOverride(override) });
+}
+
+// DELETE /admin/book - back to the book source's currently reading
+async function handleUnpinBook({ env }) {
+  await cache(env).delete(BOOK_OVERRIDE_KEY);
+  log('info', 'Current book override removed');
+  return adminResponse({ override: null });
+}
+
+// DELETE /admin/cache?shelf= - forget a cached shelf (currently-reading by
+// default), so the next request fetches it from the book source
+async function handleClearCache({ env, url }) {
+  const shelf = parseShelfName(url.searchParams.get('shelf') || DEFAULT_SHELF);
+  await cache(env).delete(shelfCacheKey(shelf));
+  return adminResponse({ cleared: shelfCacheKey(shelf) });
+}
+
+// POST /admin/refresh?shelf= - fetch a shelf from the book source now, whatever
+// its cache TTL. Fails rather than serving the cache if the source does.
+async function handleForceRefresh({ env, ctx, url, base }) {
+  const shelf = resolveShelf(env, parseShelfName(url.searchParams.get('shelf') || DEFAULT_SHELF));
+  const cached = await cache(env).get(shelfCacheKey(shelf.name));
+  const { data: books, timestamp } = await refreshShelfBooks(env, shelf, cached, { staleOnError: false, ctx });
+  return adminResponse({
+    shelf: shelf.name,
+    updatedAt: new Date(timestamp).toISOString(),
+    ...withProxiedCovers(books, base),
+  });
+}
+
+// POST /admin/scheduled - run the scheduled shelf and stats refresh for this
+// account now, rather than waiting for the cron. Failures are logged, as in
+// the cron run, not returned.
+async function handleRunScheduled({ env, ctx }) {
+  if (!await hasAccount(env)) {
+    throw new HttpError(404, 'No book source configured');
+  }
+  const startedAt = Date.now();
+  await warmShelves({ cron: 'admin', scheduledTime: startedAt }, env, ctx, {
+    subrequests: createSubrequestBudget(subrequestLimit(env)),
+  });
+  return adminResponse({ ran: 'shelves', startedAt: new Date(startedAt).toISOString(), durationMs: Date.now() - startedAt });
+}
+
+const router = new Router({ errorMessage: 'Failed to fetch Goodreads data' });
+// Every route is also served per user under /u/:handle (see USERS in the README)
+addUserRoutes(router)
+  .get('/', handleShelf)
+  .get('/shelves/:shelf', handleShelf)
+  .get('/stats', handleStats, { errorMessage: 'Failed to build reading stats' })
+  // Upstream errors are for the owner only, so ADMIN_KEYS as for the admin routes
+  .get('/status', statusHandler('goodreads'), { admin: true })
+  // Manual overrides and cache control, see "Admin API" in the README
+  .get('/admin/book', handleGetBookOverride, { admin: true })
+  .on('POST', '/admin/book', handlePinBook, { admin: true })
+  .on('DELETE', '/admin/book', handleUnpinBook, { admin: true })
+  .on('DELETE', '/admin/cache', handleClearCache, { admin: true })
+  .on('POST', '/admin/refresh', handleForceRefresh, { admin: true })
+  .on('POST', '/admin/scheduled', handleRunScheduled, { admin: true })
+  .get('/image/:id', imageHandler(IMAGE_HOSTS))
+  .get('/card.svg', cardHandler('svg'))
+  .get('/card.html', cardHandler('html'));
+addFeedRoutes(router, getActivityEvents)
+  // Every other path serves the currently-reading shelf, as it always has
+  .get('*', handleShelf);
+
+export default {
+  fetch: createFetchHandler(router, { service: 'goodreads' }),
+  
+  // Cron runs every 30 minutes - every trigger warms the shelves, for each
+  // account with a book source
+  scheduled: createScheduledHandler({
+    '*': forEachAccount(warmShelves, {
+      interval: SCHEDULE_INTERVAL_MS,
+      hasAccount,
+      subrequestsPerAccount: SUBREQUESTS_PER_ACCOUNT,
+    }),
+  }, { service: 'goodreads' }),
+  
+  // Delivers queued webhooks (see WEBHOOK_QUEUE in the README)
+  queue: handleWebhookQueue,
+  
+  // Exposed so the combined worker (worker.js) can mount these routes,
+  // merge this worker's events into its feed, proxy its images and serve /now
+  router,
+  activity: getActivityEvents,
+  imageHosts: IMAGE_HOSTS,
+  now: getCurrentBook,
 };
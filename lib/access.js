@@ -0,0 +1,147 @@
+// Who may call the workers: origin allowlist, API keys and per-client rate limits
+// Everything is configured through env vars and is off (open, as before) when unset:
+//   ALLOWED_ORIGINS            - comma-separated origins, e.g. "https://example.com"
+//   API_KEYS                   - comma-separated keys (set as a secret); key holders skip
+//                                the origin check and rate limits and see private data
+//   ADMIN_KEYS                 - comma-separated keys (set as a secret) that can also use
+//                                /status and the admin routes; API_KEYS keys never can
+//   RATE_LIMIT_REQUESTS        - requests per client IP per window (default 60, 0 disables)
+//   RATE_LIMIT_ORIGIN_REQUESTS - requests per unlisted origin per window (default 300, 0 disables)
+//   RATE_LIMIT_WINDOW          - window length in seconds (default 60)
+
+import { CORS_HEADERS } from './http.js';
+
+const DEFAULT_RATE_LIMIT = 60;
+const DEFAULT_ORIGIN_RATE_LIMIT = 300;
+const DEFAULT_RATE_LIMIT_WINDOW = 60;
+const MAX_TRACKED_CLIENTS = 10000; // Prune expired counters beyond this many
+
+// Fixed-window counters for this isolate: key -> { count, resetAt }.
+// Isolates don't share memory, so with a RATE_LIMITER binding configured
+// (Workers Rate Limiting API) that is used instead.
+const counters = new Map();
+
+function parseList(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function parseLimit(value, fallback) {
+  const limit = parseInt(value, 10);
+  return Number.isFinite(limit) && limit >= 0 ? limit : fallback;
+}
+
+export function getAccessConfig(env) {
+  const origins = parseList(env.ALLOWED_ORIGINS).map(origin => origin.replace(/\/+$/, ''));
+  return {
+    // null means any origin may call us (Access-Control-Allow-Origin: *)
+    origins: origins.length === 0 || origins.includes('*') ? null : origins,
+    apiKeys: parseList(env.API_KEYS),
+    adminKeys: parseList(env.ADMIN_KEYS),
+    rateLimit: parseLimit(env.RATE_LIMIT_REQUESTS, DEFAULT_RATE_LIMIT),
+    originRateLimit: parseLimit(env.RATE_LIMIT_ORIGIN_REQUESTS, DEFAULT_ORIGIN_RATE_LIMIT),
+    window: parseLimit(env.RATE_LIMIT_WINDOW, DEFAULT_RATE_LIMIT_WINDOW) || DEFAULT_RATE_LIMIT_WINDOW,
+  };
+}
+
+export function isOriginAllowed(config, origin) {
+  return !config.origins || !origin || config.origins.includes(origin);
+}
+
+// CORS headers for a response to `origin`. With an allowlist the allowed origin
+// is echoed back, and Vary: Origin keeps caches from mixing up responses.
+export function corsHeadersFor(config, origin) {
+  if (!config.origins) return CORS_HEADERS;
+  
+  const headers = { ...CORS_HEADERS, Vary: 'Origin' };
+  if (origin && config.origins.includes(origin)) {
+    headers['Access-Control-Allow-Origin'] = origin;
+  } else {
+    delete headers['Access-Control-Allow-Origin'];
+  }
+  return headers;
+}
+
+// The key from "Authorization: Bearer <key>" or "X-API-Key: <key>"
+function getRequestKey(request) {
+  const authorization = request.headers.get('Authorization') || '';
+  const match = authorization.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : request.headers.get('X-API-Key');
+}
+
+// Compare digests rather than the keys themselves, so the comparison takes
+// the same time however much of a guessed key is right. Also used for the
+// admin key entered at the Spotify worker's /auth/login.
+export async function keysMatch(a, b) {
+  const encoder = new TextEncoder();
+  const [digestA, digestB] = await Promise.all([
+    crypto.subtle.digest('SHA-256', encoder.encode(a)),
+    crypto.subtle.digest('SHA-256', encoder.encode(b)),
+  ]);
+  const bytesA = new Uint8Array(digestA);
+  const bytesB = new Uint8Array(digestB);
+  let diff = 0;
+  for (let i = 0; i < bytesA.length; i++) diff |= bytesA[i] ^ bytesB[i];
+  return diff === 0;
+}
+
+// 'admin' for an ADMIN_KEYS key, 'valid' for an API_KEYS key, 'invalid', or
+// 'none' when the request carries no key (or no API keys are configured, so
+// other keys mean nothing)
+export async function checkApiKey(config, request) {
+  const key = getRequestKey(request);
+  if (!key) return 'none';
+  
+  for (const adminKey of config.adminKeys) {
+    if (await keysMatch(key, adminKey)) return 'admin';
+  }
+  if (config.apiKeys.length === 0) return 'none';
+  
+  for (const apiKey of config.apiKeys) {
+    if (await keysMatch(key, apiKey)) return 'valid';
+  }
+  return 'invalid';
+}
+
+function pruneCounters(now) {
+  if (counters.size < MAX_TRACKED_CLIENTS) return;
+  for (const [key, counter] of counters) {
+    if (counter.resetAt <= now) counters.delete(key);
+  }
+}
+
+// Count one request against `key`. Returns the seconds until the client may
+// retry when it is over the limit, otherwise 0.
+async function consume(env, key, limit, windowSeconds) {
+  if (env.RATE_LIMITER) {
+    // The binding's own limit and period (set in wrangler config) apply
+    const { success } = await env.RATE_LIMITER.limit({ key });
+    return success ? 0 : windowSeconds;
+  }
+  
+  const now = Date.now();
+  let counter = counters.get(key);
+  if (!counter || counter.resetAt <= now) {
+    pruneCounters(now);
+    counter = { count: 0, resetAt: now + windowSeconds * 1000 };
+    counters.set(key, counter);
+  }
+  
+  counter.count++;
+  return counter.count > limit ? Math.ceil((counter.resetAt - now) / 1000) : 0;
+}
+
+// Apply the per-IP limit, and the per-origin limit to origins that aren't on
+// the allowlist. Returns seconds to wait when limited, otherwise 0.
+export async function checkRateLimit(env, config, request) {
+  const ip = request.headers.get('CF-Connecting-IP');
+  if (ip && config.rateLimit > 0) {
+    const retryAfter = await consume(env, `ip:${ip}`, config.rateLimit, config.window);
+    if (retryAfter) return retryAfter;
+  }
+  
+  const origin = request.headers.get('Origin');
+  if (origin && config.originRateLimit > 0 && !config.origins?.includes(origin)) {
+    return consume(env, `origin:${origin}`, config.originRateLimit, config.window);
+  }
+  return 0;
+}
@@ -0,0 +1,195 @@
+// A library file as a book source: a Goodreads library export (CSV) or a
+// JSON list of books, uploaded to KV or R2. BOOKS_FILE says where:
+// "kv:<key>" in the worker's KV namespace, or "r2:<object key>" in the
+// BOOKS_BUCKET R2 bucket. Nothing is fetched from anywhere else, so the
+// shelves only change when the file does.
+// CSV columns and JSON fields may use the Goodreads export's names ("Title",
+// "My Rating", "Exclusive Shelf", ...) or the worker's own ("title",
+// "userRating", "shelves", ...). Books without any shelf are on "read".
+
+import { createBook, toISODate } from './books.js';
+import { HttpError } from './http.js';
+import { log } from './log.js';
+
+// Book field -> column names, the first one present wins
+const COLUMNS = {
+  title: ['Title', 'title'],
+  author: ['Author', 'author'],
+  cover: ['cover'],
+  link: ['link'],
+  id: ['Book Id', 'id'],
+  isbn: ['ISBN13', 'ISBN', 'isbn'],
+  pages: ['Number of Pages', 'pages'],
+  userRating: ['My Rating', 'userRating'],
+  averageRating: ['Average Rating', 'averageRating'],
+  dateAdded: ['Date Added', 'dateAdded'],
+  dateRead: ['Date Read', 'dateRead'],
+  publishedYear: ['Original Publication Year', 'Year Published', 'publishedYear'],
+  review: ['My Review', 'review'],
+};
+// Goodreads puts a book's read status and its other shelves in two columns
+const SHELF_COLUMNS = ['Exclusive Shelf', 'Bookshelves', 'shelf', 'shelves'];
+const DEFAULT_SHELF = 'read';
+
+// Rows of a CSV file (RFC 4180: quoted fields may hold commas, quotes and newlines)
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  
+  return rows.filter(cells => cells.some(cell => cell.trim()));
+}
+
+// CSV rows as objects by column name
+function csvRecords(text) {
+  const [header = [], ...rows] = parseCSV(text.replace(/^\uFEFF/, ''));
+  const names = header.map(name => name.trim());
+  return rows.map(cells => Object.fromEntries(names.map((name, index) => [name, cells[index] ?? ''])));
+}
+
+// JSON files hold a list of books, or { books: [...] }
+function jsonRecords(text) {
+  const data = JSON.parse(text);
+  const records = Array.isArray(data) ? data : data?.books;
+  if (!Array.isArray(records)) {
+    throw new Error('Expected a list of books');
+  }
+  return records.filter(record => record && typeof record === 'object');
+}
+
+function column(record, names) {
+  for (const name of names) {
+    const value = record[name];
+    if (value !== undefined && value !== null && value !== '') return value;
+  }
+  return null;
+}
+
+function toNumber(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// Goodreads exports ISBNs as ="0593135202" so spreadsheets keep the zeros
+function cleanISBN(value) {
+  return value ? String(value).replace(/[^0-9X]/gi, '') || null : null;
+}
+
+function shelvesOf(record) {
+  const shelves = new Set();
+  for (const name of SHELF_COLUMNS) {
+    const value = record[name];
+    const list = Array.isArray(value) ? value : String(value ?? '').split(',');
+    for (const shelf of list) {
+      if (String(shelf).trim()) shelves.add(String(shelf).trim().toLowerCase());
+    }
+  }
+  return shelves.size > 0 ? shelves : new Set([DEFAULT_SHELF]);
+}
+
+function recordToBook(record) {
+  const value = (field) => column(record, COLUMNS[field]);
+  const id = value('id') !== null ? String(value('id')) : null;
+  const userRating = toNumber(value('userRating'));
+  const publishedYear = toNumber(value('publishedYear'));
+  const review = value('review');
+  
+  return createBook({
+    title: String(value('title') || 'Unknown Title'),
+    author: String(value('author') || ''),
+    cover: value('cover'),
+    // The Goodreads export has no links, but its book IDs make them
+    link: value('link') || (record['Book Id'] ? `https://www.goodreads.com/book/show/${id}` : null),
+    id,
+    isbn: cleanISBN(value('isbn')),
+    pages: toNumber(value('pages')),
+    userRating: userRating > 0 ? userRating : null, // 0 means unrated
+    averageRating: toNumber(value('averageRating')),
+    dateAdded: toISODate(value('dateAdded')),
+    dateRead: toISODate(value('dateRead')),
+    publishedYear: publishedYear > 0 ? publishedYear : null,
+    // Exported reviews keep Goodreads' HTML line breaks
+    review: review ? String(review).replace(/<br\s*\/?>/gi, '\n').replace(/<\/?[a-z][^>]*>/gi, '').trim() || null : null,
+  });
+}
+
+// Source for one account's env, reading from `store` (the worker's KV, through
+// kv.js so reads are counted) or `bucket` (R2)
+export function createBookFileSource(env, { store, bucket }) {
+  async function readFile() {
+    const [, storage, key] = /^(kv|r2):(.+)$/i.exec(env.BOOKS_FILE.trim()) || [];
+    let text = null;
+    if (storage?.toLowerCase() === 'kv') {
+      text = await store.get(key, { type: 'text' });
+    } else if (storage?.toLowerCase() === 'r2') {
+      if (!bucket) {
+        throw new HttpError(500, 'BOOKS_FILE is in R2, but the BOOKS_BUCKET binding is missing');
+      }
+      text = await (await bucket.get(key))?.text() ?? null;
+    } else {
+      throw new HttpError(500, 'BOOKS_FILE must look like "kv:<key>" or "r2:<object key>"');
+    }
+    
+    if (text === null) {
+      throw new HttpError(404, `Library file ${env.BOOKS_FILE} not found`);
+    }
+    return { key, text };
+  }
+  
+  return {
+    name: 'file',
+    
+    async hasAccount() {
+      return !!env.BOOKS_FILE;
+    },
+    
+    async fetchShelf(shelf) {
+      const { key, text } = await readFile();
+      
+      let records;
+      try {
+        const isJSON = key.toLowerCase().endsWith('.json') || /^\s*[[{]/.test(text);
+        records = isJSON ? jsonRecords(text) : csvRecords(text);
+      } catch (error) {
+        log('error', 'Failed to parse library file', { file: env.BOOKS_FILE, error: error.message });
+        throw new HttpError(500, `Library file ${env.BOOKS_FILE} could not be read: ${error.message}`);
+      }
+      
+      const books = records.filter(record => shelvesOf(record).has(shelf)).map(recordToBook);
+      log('info', 'Read shelf from library file', { shelf, books: books.length });
+      return books;
+    },
+  };
+}
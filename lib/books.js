@@ -0,0 +1,76 @@
+// Book sources behind the Goodreads worker's shelves: the Goodreads RSS feed
+// (in goodreads-worker.js), Hardcover (hardcover.js), an Open Library reading
+// log (openlibrary.js) and a library file such as a Goodreads export
+// (book-file.js). Every source returns books in the same shape, so caching,
+// change detection, stats and events work the same whichever one is used.
+// A source is { name, hasAccount(), fetchShelf(shelf, options) }, created for
+// one account's env; fetchShelf resolves with the books on a shelf, in any
+// order. Sources that read a shelf in pages may take { maxPages, subrequests }.
+
+import { log } from './log.js';
+
+// Order sources are tried in when BOOK_SOURCE isn't set
+const DEFAULT_SOURCES = ['goodreads', 'hardcover', 'openlibrary', 'file'];
+
+// A book with every field a source may not have set to null
+export function createBook(fields) {
+  return {
+    title: '',
+    author: '',
+    cover: null,
+    link: null,
+    id: null,
+    isbn: null,
+    pages: null,
+    userRating: null,
+    averageRating: null,
+    dateAdded: null,
+    dateRead: null,
+    publishedYear: null,
+    review: null,
+    ...fields,
+  };
+}
+
+// ISO timestamp for a date a source gave, or null. Plain dates
+// ("2024-03-15" or "2024/03/15") are taken as UTC midnight.
+export function toISODate(value) {
+  const text = typeof value === 'string' ? value.trim().replace(/^(\d{4})\/(\d{2})\/(\d{2})/, '$1-$2-$3') : value;
+  const time = text ? Date.parse(text) : NaN;
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+// A shelf as the worker serves it: every book, newest added first, with
+// `current` and `previous` keeping the original response shape
+export function shelfFromBooks(list) {
+  const books = list
+    .map((book, index) => ({ book, index }))
+    .sort((a, b) => {
+      const timeA = a.book.dateAdded ? Date.parse(a.book.dateAdded) : -Infinity;
+      const timeB = b.book.dateAdded ? Date.parse(b.book.dateAdded) : -Infinity;
+      // Keep the source's order for ties and undated books
+      return timeB - timeA || a.index - b.index;
+    })
+    .map(({ book }) => book);
+  
+  return {
+    current: books[0] || null,
+    previous: books[1] || null,
+    books,
+  };
+}
+
+// The account's book source: BOOK_SOURCE out of `available` (by name), or
+// else the first source the account has set up. Null if there is none.
+export async function getBookSource(env, available) {
+  const names = env.BOOK_SOURCE ? [env.BOOK_SOURCE.trim().toLowerCase()] : DEFAULT_SOURCES;
+  
+  for (const name of names) {
+    if (!available[name]) {
+      log('error', 'Ignoring unknown BOOK_SOURCE', { source: env.BOOK_SOURCE });
+    } else if (await available[name].hasAccount()) {
+      return available[name];
+    }
+  }
+  return null;
+}
@@ -0,0 +1,165 @@
+// Shared SVG/HTML card rendering for the Goodreads and Spotify workers
+// Cards are self-contained (cover art is inlined) so they work as <img> embeds,
+// e.g. in a GitHub README where external images inside an SVG are blocked
+
+import { cacheHeaders } from './http.js';
+
+const THEMES = {
+  light: {
+    background: '#ffffff',
+    border: '#e4e2e2',
+    title: '#1f2328',
+    text: '#59636e',
+    placeholder: '#eaeef2',
+  },
+  dark: {
+    background: '#0d1117',
+    border: '#30363d',
+    title: '#e6edf3',
+    text: '#8d96a0',
+    placeholder: '#21262d',
+  },
+};
+
+const SIZES = {
+  small: { width: 320, height: 84, cover: 64, padding: 10, titleSize: 14, textSize: 12 },
+  medium: { width: 400, height: 120, cover: 96, padding: 12, titleSize: 16, textSize: 13 },
+  large: { width: 500, height: 150, cover: 126, padding: 12, titleSize: 19, textSize: 15 },
+};
+
+// Covers larger than this are left out rather than bloating the card
+const MAX_IMAGE_BYTES = 512 * 1024;
+
+const FONT_FAMILY = "-apple-system, 'Segoe UI', Helvetica, Arial, sans-serif";
+
+export function escapeXML(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// SVG text doesn't wrap, so shorten text to roughly fit the available width
+function truncate(text, maxWidth, fontSize) {
+  const maxChars = Math.floor(maxWidth / (fontSize * 0.55));
+  const chars = [...String(text ?? '')];
+  return chars.length > maxChars ? chars.slice(0, maxChars - 1).join('').trimEnd() + '…' : chars.join('');
+}
+
+// Read ?theme=light|dark and ?size=small|medium|large, falling back to defaults
+export function getCardOptions(url) {
+  const theme = url.searchParams.get('theme');
+  const size = url.searchParams.get('size');
+  return {
+    theme: THEMES[theme] ? theme : 'light',
+    size: SIZES[size] ? size : 'medium',
+  };
+}
+
+// Download an image and return it as a data URI, or null if it can't be inlined
+export async function fetchImageDataURI(imageUrl) {
+  if (!imageUrl) return null;
+
+  try {
+    const response = await fetch(imageUrl);
+    const contentType = response.headers.get('Content-Type') || '';
+    if (!response.ok || !contentType.startsWith('image/')) return null;
+
+    const bytes = new Uint8Array(await response.arrayBuffer());
+    if (bytes.length > MAX_IMAGE_BYTES) return null;
+
+    // btoa needs a binary string; build it in chunks to avoid huge argument lists
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return `data:${contentType.split(';')[0]};base64,${btoa(binary)}`;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Animated equalizer bars, bottom-aligned at (x, y)
+function renderEqualizer(x, y, color) {
+  const bars = [0, 1, 2, 3].map(i =>
+    `<rect class="bar" x="${x + i * 4}" y="${y - 10}" width="3" height="10" rx="1" fill="${color}"/>`
+  );
+  return `<g>${bars.join('')}</g>`;
+}
+
+// Render a card: cover on the left, then a label, title, subtitle and detail line.
+// `accent` colors the label; `playing` adds the equalizer next to the label.
+export function renderCardSVG({ theme, size, accent, label, title, subtitle, detail, image, playing = false }) {
+  const colors = THEMES[theme] || THEMES.light;
+  const dims = SIZES[size] || SIZES.medium;
+  const { width, height, cover, padding, titleSize, textSize } = dims;
+
+  const coverY = (height - cover) / 2;
+  const textX = padding + cover + padding;
+  const textWidth = width - textX - padding;
+  const labelX = playing ? textX + 20 : textX;
+  // Baselines for the four lines, with the whole block centered vertically
+  const round = (value) => Math.round(value * 10) / 10;
+  const blockHeight = textSize * 4.05 + titleSize * 1.5;
+  const labelY = round((height - blockHeight) / 2 + textSize * 0.8);
+  const titleY = round(labelY + titleSize * 1.5);
+  const subtitleY = round(titleY + textSize * 1.5);
+  const detailY = round(subtitleY + textSize * 1.5);
+
+  const coverMarkup = image
+    ? `<image x="${padding}" y="${coverY}" width="${cover}" height="${cover}" href="${escapeXML(image)}" preserveAspectRatio="xMidYMid slice" clip-path="url(#cover)"/>`
+    : `<rect x="${padding}" y="${coverY}" width="${cover}" height="${cover}" rx="6" fill="${colors.placeholder}"/>`;
+
+  const description = escapeXML(`${label}: ${title}${subtitle ? ` - ${subtitle}` : ''}`);
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="${description}">
+  <title>${description}</title>
+  <style>
+    text { font-family: ${FONT_FAMILY}; }
+    .bar { transform-box: fill-box; transform-origin: bottom; animation: eq 0.9s ease-in-out infinite alternate; }
+    .bar:nth-child(2) { animation-delay: -0.3s; }
+    .bar:nth-child(3) { animation-delay: -0.6s; }
+    .bar:nth-child(4) { animation-delay: -0.45s; }
+    @keyframes eq { from { transform: scaleY(0.25); } to { transform: scaleY(1); } }
+    @media (prefers-reduced-motion: reduce) { .bar { animation: none; } }
+  </style>
+  <defs><clipPath id="cover"><rect x="${padding}" y="${coverY}" width="${cover}" height="${cover}" rx="6"/></clipPath></defs>
+  <rect x="0.5" y="0.5" width="${width - 1}" height="${height - 1}" rx="10" fill="${colors.background}" stroke="${colors.border}"/>
+  ${coverMarkup}
+  ${playing ? renderEqualizer(textX, labelY, accent) : ''}
+  <text x="${labelX}" y="${labelY}" font-size="${textSize - 1}" font-weight="600" fill="${accent}">${escapeXML(truncate(label.toUpperCase(), textWidth - (labelX - textX), textSize))}</text>
+  <text x="${textX}" y="${titleY}" font-size="${titleSize}" font-weight="600" fill="${colors.title}">${escapeXML(truncate(title, textWidth, titleSize))}</text>
+  <text x="${textX}" y="${subtitleY}" font-size="${textSize}" fill="${colors.text}">${escapeXML(truncate(subtitle, textWidth, textSize))}</text>
+  <text x="${textX}" y="${detailY}" font-size="${textSize}" fill="${colors.text}">${escapeXML(truncate(detail, textWidth, textSize))}</text>
+</svg>`;
+}
+
+// Wrap a rendered SVG card in a minimal page for <iframe> embeds
+export function renderCardHTML(svg, { title, link }) {
+  const card = link
+    ? `<a href="${escapeXML(link)}" target="_blank" rel="noopener">${svg}</a>`
+    : svg;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeXML(title)}</title>
+<style>html, body { margin: 0; background: transparent; } a { display: inline-block; line-height: 0; }</style>
+</head>
+<body>${card}</body>
+</html>`;
+}
+
+// Card response with caching suitable for image proxies such as GitHub's camo
+export function cardResponse(body, format, maxAgeSeconds, { lastModified } = {}) {
+  return new Response(body, {
+    headers: {
+      'Content-Type': format === 'html' ? 'text/html; charset=utf-8' : 'image/svg+xml; charset=utf-8',
+      ...cacheHeaders(maxAgeSeconds, { lastModified }),
+    },
+  });
+}
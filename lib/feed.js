@@ -0,0 +1,168 @@
+// Activity feeds (RSS 2.0, Atom and JSON Feed) built from change events
+// Events are the { id, type, occurredAt, data } objects from webhooks.js, so a
+// feed item shows exactly what a webhook would have announced.
+
+import { escapeXML } from './cards.js';
+import { cacheHeaders } from './http.js';
+
+const FEED_ITEMS_LIMIT = 30;
+const FEED_CACHE_SECONDS = 300;
+const DEFAULT_FEED_TITLE = 'Reading and listening activity';
+
+const FEED_CONTENT_TYPES = {
+  rss: 'application/rss+xml; charset=utf-8',
+  atom: 'application/atom+xml; charset=utf-8',
+  json: 'application/feed+json; charset=utf-8',
+};
+
+const IMAGE_TYPES = {
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+};
+
+// Item title for an event, e.g. "Started reading Dune by Frank Herbert"
+function describeEvent(event) {
+  const { title, author, artist } = event.data;
+  switch (event.type) {
+    case 'book.started':
+      return `Started reading ${title} by ${author}`;
+    case 'book.finished':
+      return `Finished reading ${title} by ${author}`;
+    case 'track.started':
+      return artist ? `Listened to ${title} by ${artist}` : `Listened to ${title}`;
+    default:
+      return title;
+  }
+}
+
+// Cover and album art URLs rarely have a useful extension, so default to JPEG
+function imageType(url) {
+  try {
+    const extension = new URL(url).pathname.split('.').pop().toLowerCase();
+    return IMAGE_TYPES[extension] || 'image/jpeg';
+  } catch (error) {
+    return 'image/jpeg';
+  }
+}
+
+function toFeedItem(event) {
+  const image = event.data.cover || event.data.albumArt || null;
+  return {
+    // Event ids never change once created, which keeps readers from showing duplicates
+    id: `urn:activity:${encodeURIComponent(event.id)}`,
+    title: describeEvent(event),
+    url: event.data.link || event.data.songUrl || null,
+    date: event.occurredAt,
+    summary: [event.data.album, event.data.shelf].filter(Boolean).join(' · ') || null,
+    image: image && { url: image, type: imageType(image) },
+  };
+}
+
+function renderRSS(feed, items) {
+  const entries = items.map(item => [
+    `<title>${escapeXML(item.title)}</title>`,
+    item.url && `<link>${escapeXML(item.url)}</link>`,
+    `<guid isPermaLink="false">${escapeXML(item.id)}</guid>`,
+    `<pubDate>${new Date(item.date).toUTCString()}</pubDate>`,
+    item.summary && `<description>${escapeXML(item.summary)}</description>`,
+    item.image && `<enclosure url="${escapeXML(item.image.url)}" type="${item.image.type}" length="0"/>`,
+  ].filter(Boolean).map(line => `      ${line}`).join('\n'))
+    .map(lines => `    <item>\n${lines}\n    </item>`);
+  
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeXML(feed.title)}</title>
+    <link>${escapeXML(feed.homePageUrl)}</link>
+    <description>${escapeXML(feed.title)}</description>
+    <atom:link href="${escapeXML(feed.feedUrl)}" rel="self" type="application/rss+xml"/>
+    <lastBuildDate>${new Date(feed.updated).toUTCString()}</lastBuildDate>
+${entries.join('\n')}
+  </channel>
+</rss>`;
+}
+
+function renderAtom(feed, items) {
+  const entries = items.map(item => [
+    `<title>${escapeXML(item.title)}</title>`,
+    `<id>${escapeXML(item.id)}</id>`,
+    `<published>${item.date}</published>`,
+    `<updated>${item.date}</updated>`,
+    item.url && `<link href="${escapeXML(item.url)}"/>`,
+    item.image && `<link rel="enclosure" href="${escapeXML(item.image.url)}" type="${item.image.type}"/>`,
+    item.summary && `<summary>${escapeXML(item.summary)}</summary>`,
+  ].filter(Boolean).map(line => `    ${line}`).join('\n'))
+    .map(lines => `  <entry>\n${lines}\n  </entry>`);
+  
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeXML(feed.title)}</title>
+  <id>${escapeXML(feed.feedUrl)}</id>
+  <updated>${new Date(feed.updated).toISOString()}</updated>
+  <link rel="self" href="${escapeXML(feed.feedUrl)}"/>
+  <link href="${escapeXML(feed.homePageUrl)}"/>
+  <author><name>${escapeXML(feed.author)}</name></author>
+${entries.join('\n')}
+</feed>`;
+}
+
+function renderJSONFeed(feed, items) {
+  return JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    home_page_url: feed.homePageUrl,
+    feed_url: feed.feedUrl,
+    authors: [{ name: feed.author }],
+    items: items.map(item => ({
+      id: item.id,
+      title: item.title,
+      content_text: [item.title, item.summary].filter(Boolean).join(' - '),
+      url: item.url || undefined,
+      date_published: item.date,
+      image: item.image?.url,
+      attachments: item.image ? [{ url: item.image.url, mime_type: item.image.type }] : undefined,
+    })),
+  });
+}
+
+const RENDERERS = {
+  rss: renderRSS,
+  atom: renderAtom,
+  json: renderJSONFeed,
+};
+
+// Route handler for one feed format. getEvents(env, context) returns change
+// events from any source; they're merged newest first.
+// FEED_TITLE, FEED_AUTHOR and FEED_SITE_URL customize the feed metadata.
+function feedHandler(format, getEvents) {
+  return async (context) => {
+    const { env, url } = context;
+    const events = (await getEvents(env, context))
+      .sort((a, b) => b.occurredAt.localeCompare(a.occurredAt))
+      .slice(0, FEED_ITEMS_LIMIT);
+    
+    const feed = {
+      title: env.FEED_TITLE || DEFAULT_FEED_TITLE,
+      author: env.FEED_AUTHOR || env.FEED_TITLE || DEFAULT_FEED_TITLE,
+      homePageUrl: env.FEED_SITE_URL || url.origin,
+      feedUrl: url.origin + url.pathname,
+      updated: events[0]?.occurredAt || new Date(0).toISOString(),
+    };
+    
+    return new Response(RENDERERS[format](feed, events.map(toFeedItem)), {
+      headers: {
+        'Content-Type': FEED_CONTENT_TYPES[format],
+        ...cacheHeaders(FEED_CACHE_SECONDS),
+      },
+    });
+  };
+}
+
+// Register /feed.xml, /feed.atom and /feed.json on a router
+export function addFeedRoutes(router, getEvents) {
+  return router
+    .get('/feed.xml', feedHandler('rss', getEvents))
+    .get('/feed.atom', feedHandler('atom', getEvents))
+    .get('/feed.json', feedHandler('json', getEvents));
+}
@@ -0,0 +1,117 @@
+// Hardcover (https://hardcover.app) as a book source, through its GraphQL API.
+// Needs HARDCOVER_TOKEN, the API token from https://hardcover.app/account/api.
+// Hardcover has a fixed set of reading statuses rather than shelves, so only
+// the standard shelves (and did-not-finish) are available.
+
+import { createBook, toISODate } from './books.js';
+import { HttpError } from './http.js';
+import { log } from './log.js';
+import { createUpstream } from './upstream.js';
+import { recordFetch } from './usage.js';
+
+const API_ENDPOINT = 'https://api.hardcover.app/v1/graphql';
+const SHELF_LIMIT = 100; // Like a Goodreads feed, the newest books only
+
+export const HARDCOVER_IMAGE_HOSTS = ['hardcover.app'];
+
+// Shelf names as used on Goodreads -> Hardcover status IDs
+const STATUSES = {
+  'to-read': 1,
+  'currently-reading': 2,
+  'read': 3,
+  'did-not-finish': 5,
+};
+
+const SHELF_QUERY = `query Shelf($status: Int!, $limit: Int!) {
+  me {
+    user_books(where: { status_id: { _eq: $status } }, order_by: { date_added: desc }, limit: $limit) {
+      rating
+      review_raw
+      date_added
+      last_read_date
+      edition { isbn_13 isbn_10 pages image { url } }
+      book {
+        id
+        slug
+        title
+        pages
+        release_year
+        rating
+        image { url }
+        contributions { author { name } }
+      }
+    }
+  }
+}`;
+
+function normalizeBook(entry, shelf) {
+  const { book = {}, edition } = entry;
+  const authors = (book.contributions || []).map(contribution => contribution.author?.name).filter(Boolean);
+  
+  return createBook({
+    title: book.title || 'Unknown Title',
+    author: authors.join(', '),
+    cover: edition?.image?.url || book.image?.url || null,
+    link: book.slug ? `https://hardcover.app/books/${book.slug}` : null,
+    id: book.id ? String(book.id) : null,
+    isbn: edition?.isbn_13 || edition?.isbn_10 || null,
+    pages: edition?.pages || book.pages || null,
+    userRating: entry.rating > 0 ? entry.rating : null,
+    averageRating: book.rating ? Math.round(book.rating * 100) / 100 : null,
+    dateAdded: toISODate(entry.date_added),
+    dateRead: shelf === 'read' ? toISODate(entry.last_read_date) : null,
+    publishedYear: book.release_year || null,
+    review: entry.review_raw?.trim() || null,
+  });
+}
+
+// Source for one account's env; calls share a circuit breaker through `store`
+export function createHardcoverSource(env, store) {
+  const upstream = createUpstream(store, 'hardcover', { label: 'Hardcover' });
+  
+  return {
+    name: 'hardcover',
+    
+    async hasAccount() {
+      return !!env.HARDCOVER_TOKEN;
+    },
+    
+    async fetchShelf(shelf) {
+      if (!(shelf in STATUSES)) {
+        throw new HttpError(404, `Hardcover has no "${shelf}" shelf`);
+      }
+      
+      let data;
+      try {
+        const response = await upstream.fetch(API_ENDPOINT, {
+          method: 'POST',
+          headers: {
+            // Tokens are shown with the "Bearer " prefix, so accept them either way
+            'Authorization': `Bearer ${env.HARDCOVER_TOKEN.replace(/^Bearer\s+/i, '')}`,
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({ query: SHELF_QUERY, variables: { status: STATUSES[shelf], limit: SHELF_LIMIT } }),
+        });
+        if (!response.ok) {
+          throw new Error(`Hardcover returned ${response.status}`);
+        }
+        
+        const body = await response.json();
+        // GraphQL reports errors with a 200
+        if (body.errors?.length) {
+          throw new Error(`Hardcover query failed: ${body.errors[0].message}`);
+        }
+        data = body.data;
+        recordFetch(env, 'hardcover');
+      } catch (error) {
+        recordFetch(env, 'hardcover', error);
+        throw error;
+      }
+      
+      // `me` is a list holding the token's user
+      const entries = data?.me?.[0]?.user_books || [];
+      log('info', 'Fetched shelf from Hardcover', { shelf, books: entries.length });
+      return entries.map(entry => normalizeBook(entry, shelf));
+    },
+  };
+}
@@ -0,0 +1,127 @@
+// Response helpers shared by all workers: CORS headers, JSON bodies, HTTP
+// caching and the { error, message } envelope used for every error response
+
+// CORS headers for any origin. Responses get these (or the allowlisted
+// variant from access.js) from the fetch middleware, not from the handlers.
+export const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-API-Key',
+};
+
+const JSON_HEADERS = {
+  'Content-Type': 'application/json',
+};
+
+// Thrown by route handlers for expected client errors (bad input, unknown path)
+export class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+export function jsonResponse(body, status = 200, headers = {}) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { ...JSON_HEADERS, ...headers },
+  });
+}
+
+// Errors are never cached, so a blip upstream doesn't stick around in browsers
+export function errorResponse(status, error, message, headers = {}) {
+  const body = message === undefined ? { error } : { error, message };
+  return jsonResponse(body, status, { 'Cache-Control': 'no-store', ...headers });
+}
+
+// Cache-Control for data that is fresh for maxAge seconds and may then be served
+// stale for as long again while it revalidates, plus Last-Modified when known
+export function cacheHeaders(maxAge, { lastModified, staleWhileRevalidate = maxAge } = {}) {
+  const headers = {
+    'Cache-Control': `public, max-age=${maxAge}, s-maxage=${maxAge}, stale-while-revalidate=${staleWhileRevalidate}`,
+  };
+  if (lastModified) {
+    headers['Last-Modified'] = new Date(lastModified).toUTCString();
+  }
+  return headers;
+}
+
+// Responses for API key holders may include private data, so keep them out
+// of shared caches
+export function withPrivateCaching(response) {
+  const cacheControl = response.headers.get('Cache-Control');
+  if (!cacheControl || !cacheControl.includes('public')) {
+    return response;
+  }
+  
+  const privateResponse = new Response(response.body, response);
+  privateResponse.headers.set('Cache-Control', cacheControl
+    .replace('public', 'private')
+    .replace(/,\s*s-maxage=\d+/, ''));
+  return privateResponse;
+}
+
+function isCacheable(request, response) {
+  const cacheControl = response.headers.get('Cache-Control') || '';
+  return (request.method === 'GET' || request.method === 'HEAD') &&
+    response.status === 200 &&
+    cacheControl !== '' &&
+    !cacheControl.includes('no-store') &&
+    !(response.headers.get('Content-Type') || '').startsWith('text/event-stream');
+}
+
+function etagMatches(ifNoneMatch, etag) {
+  return ifNoneMatch.split(',').some(tag => {
+    tag = tag.trim();
+    return tag === '*' || tag.replace(/^W\//, '') === etag;
+  });
+}
+
+// Add a content-hash ETag to a cacheable response and answer conditional
+// requests (If-None-Match, or else If-Modified-Since) with 304 Not Modified
+export async function withConditional(request, response) {
+  if (!isCacheable(request, response)) {
+    return response;
+  }
+  
+  const body = await response.arrayBuffer();
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-1', body));
+  const etag = `"${[...digest.slice(0, 16)].map(byte => byte.toString(16).padStart(2, '0')).join('')}"`;
+  
+  const headers = new Headers(response.headers);
+  headers.set('ETag', etag);
+  
+  const ifNoneMatch = request.headers.get('If-None-Match');
+  const ifModifiedSince = Date.parse(request.headers.get('If-Modified-Since') || '');
+  const lastModified = Date.parse(headers.get('Last-Modified') || '');
+  const notModified = ifNoneMatch
+    ? etagMatches(ifNoneMatch, etag)
+    : ifModifiedSince >= lastModified; // false when either date is missing (NaN)
+  
+  if (notModified) {
+    headers.delete('Content-Type');
+    headers.delete('Content-Length');
+    return new Response(null, { status: 304, headers });
+  }
+  return new Response(body, { status: response.status, headers });
+}
+
+// Apply the request's CORS headers to a response, replacing any the handler
+// set. WebSocket upgrades are passed through untouched.
+export function withCors(response, corsHeaders = CORS_HEADERS) {
+  if (response.status === 101) {
+    return response;
+  }
+  
+  const corsResponse = new Response(response.body, response);
+  corsResponse.headers.delete('Access-Control-Allow-Origin');
+  for (const [name, value] of Object.entries(corsHeaders)) {
+    if (name === 'Vary') {
+      corsResponse.headers.append('Vary', value);
+    } else {
+      corsResponse.headers.set(name, value);
+    }
+  }
+  return corsResponse;
+}
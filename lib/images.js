@@ -0,0 +1,171 @@
+// Cover and album art served from our own domain, plus their colour palettes.
+// /image/:id proxies an image from the provider's CDN and keeps it in the
+// Cache API, so visitors' browsers never contact Spotify or Goodreads, and an
+// image whose URL has since rotated keeps working while it is cached. The id
+// is the base64url-encoded (UTF-8) image URL; only hosts the worker lists can be
+// proxied, so it can't be used as an open proxy.
+
+import { HttpError, cacheHeaders } from './http.js';
+import { log } from './log.js';
+import { buildPalette, jpegColors } from './palette.js';
+
+// Cache API keys must be URLs; these hosts are never actually requested
+const IMAGE_CACHE_ORIGIN = 'https://image-proxy.internal';
+const PALETTE_CACHE_ORIGIN = 'https://image-palette.internal';
+
+// Provider image URLs change whenever the image does, so they cache for long
+const IMAGE_CACHE_TTL = 30 * 86400; // 30 days at the edge
+const IMAGE_MAX_AGE = 86400; // A day in browsers
+const PALETTE_CACHE_TTL = 30 * 86400;
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+// No SVG: it can carry scripts, and would run them on our origin
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/avif'];
+const MEMORY_CACHE_SIZE = 200; // Palettes kept per isolate
+
+// Palettes by image URL, most recently used last
+const palettes = new Map();
+
+function edgeCache() {
+  return typeof caches !== 'undefined' ? caches.default : null;
+}
+
+// btoa only takes Latin-1, so URLs are encoded as UTF-8 bytes first - cover
+// URLs may hold non-ASCII characters, such as a title in the path
+function imageId(url) {
+  const binary = String.fromCharCode(...new TextEncoder().encode(url));
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function imageURL(id) {
+  try {
+    const binary = atob(id.replace(/-/g, '+').replace(/_/g, '/'));
+    return new TextDecoder('utf-8', { fatal: true }).decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+  } catch (error) {
+    return null;
+  }
+}
+
+// https URLs on one of `hosts` or their subdomains
+function isAllowed(url, hosts) {
+  try {
+    const { protocol, hostname } = new URL(url);
+    return protocol === 'https:' && hosts.some(host => hostname === host || hostname.endsWith(`.${host}`));
+  } catch (error) {
+    return false;
+  }
+}
+
+// The proxied URL for an image under `base` (the worker's URL up to its
+// routes, e.g. https://example.com/spotify), or the URL unchanged if it
+// can't be proxied
+export function proxyImageURL(base, url, hosts) {
+  if (!url || !isAllowed(url, hosts)) return url;
+  return `${base}/image/${imageId(url)}`;
+}
+
+// GET /image/:id for images on `hosts`
+export function imageHandler(hosts) {
+  return async ({ params, ctx }) => {
+    const url = imageURL(params.id);
+    if (!url || !isAllowed(url, hosts)) {
+      throw new HttpError(404, 'Unknown image');
+    }
+    
+    const cache = edgeCache();
+    const cacheKey = `${IMAGE_CACHE_ORIGIN}/${params.id}`;
+    const cached = cache && await cache.match(cacheKey);
+    if (cached) {
+      return proxyResponse(cached);
+    }
+    
+    let response;
+    try {
+      response = await fetch(url);
+    } catch (error) {
+      log('error', 'Failed to fetch image', { url, error: error.message });
+      throw new HttpError(502, 'Failed to fetch image');
+    }
+    
+    const contentType = (response.headers.get('Content-Type') || '').split(';')[0].trim();
+    if (!response.ok || !IMAGE_TYPES.includes(contentType)) {
+      log('warn', 'Image could not be proxied', { url, status: response.status, contentType });
+      throw new HttpError(response.status === 404 ? 404 : 502, 'Image unavailable');
+    }
+    
+    const body = await response.arrayBuffer();
+    if (body.byteLength > MAX_IMAGE_BYTES) {
+      throw new HttpError(502, 'Image too large');
+    }
+    
+    const image = new Response(body, {
+      headers: {
+        'Content-Type': contentType,
+        'Cache-Control': `public, max-age=${IMAGE_CACHE_TTL}`,
+      },
+    });
+    if (cache) {
+      ctx.waitUntil(cache.put(cacheKey, image.clone()));
+    }
+    return proxyResponse(image);
+  };
+}
+
+function proxyResponse(image) {
+  return new Response(image.body, {
+    headers: {
+      'Content-Type': image.headers.get('Content-Type'),
+      'X-Content-Type-Options': 'nosniff',
+      ...cacheHeaders(IMAGE_MAX_AGE),
+    },
+  });
+}
+
+function rememberPalette(url, palette) {
+  palettes.delete(url);
+  palettes.set(url, palette);
+  if (palettes.size > MEMORY_CACHE_SIZE) {
+    palettes.delete(palettes.keys().next().value);
+  }
+  return palette;
+}
+
+async function computePalette(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Image returned ${response.status}`);
+  }
+  
+  const bytes = new Uint8Array(await response.arrayBuffer());
+  return bytes.length > MAX_IMAGE_BYTES ? null : buildPalette(jpegColors(bytes));
+}
+
+// Colour palette ({ dominant, accent, text, colors }, see palette.js) of an
+// image, or null if it can't be worked out. Palettes are cached per isolate
+// and in the Cache API, so each image is fetched and decoded about once.
+export async function getPalette(url) {
+  if (!url) return null;
+  if (palettes.has(url)) return rememberPalette(url, palettes.get(url));
+  
+  const cache = edgeCache();
+  const cacheKey = `${PALETTE_CACHE_ORIGIN}/${imageId(url)}`;
+  const cached = cache && await cache.match(cacheKey);
+  if (cached) {
+    return rememberPalette(url, await cached.json());
+  }
+  
+  let palette;
+  try {
+    palette = await computePalette(url);
+  } catch (error) {
+    // Not cached, so the next change of track or book tries again
+    log('warn', 'Failed to work out image palette', { url, error: error.message });
+    return null;
+  }
+  
+  if (cache) {
+    await cache.put(cacheKey, new Response(JSON.stringify(palette), {
+      headers: { 'Cache-Control': `public, max-age=${PALETTE_CACHE_TTL}` },
+    }));
+  }
+  return rememberPalette(url, palette);
+}
@@ -0,0 +1,90 @@
+// JSON access to a KV namespace, with writes logged in one consistent format
+// and an optional edge cache (Cache API) in front of reads. Cache API reads are
+// free and local to the data center, so hot keys don't cost a KV read per
+// request. Writes and deletes drop the local edge copy so it never hides them.
+// A prefix keeps one user's keys apart from another's in a shared namespace.
+// A meter (from usage.js) counts operations and applies the daily write budget.
+
+import { log } from './log.js';
+
+// Cache API keys must be URLs; this host is never actually requested
+const EDGE_CACHE_ORIGIN = 'https://kv-edge-cache.internal';
+
+// The Cache API only exists inside the Workers runtime
+function edgeCache() {
+  return typeof caches !== 'undefined' ? caches.default : null;
+}
+
+export function createKVStore(namespace, service, { prefix = '', meter } = {}) {
+  const edgeKey = (key) => `${EDGE_CACHE_ORIGIN}/${service}/${encodeURIComponent(key)}`;
+  
+  async function dropEdgeCopy(key) {
+    try {
+      await edgeCache()?.delete(edgeKey(key));
+    } catch (error) {
+      log('warn', 'Edge cache delete failed', { service, key, error: error.message });
+    }
+  }
+  
+  return {
+    // 'ok', or 'conserve' / 'critical' as writes near the daily budget
+    async budgetLevel() {
+      return meter ? meter.level() : 'ok';
+    },
+    
+    // Parsed JSON value (or with type 'text', the raw text), or null if the key
+    // is missing. With cacheTtl (seconds) the value is served from the edge
+    // cache for up to that long.
+    async get(name, { cacheTtl, type = 'json' } = {}) {
+      const key = prefix + name;
+      const cache = cacheTtl ? edgeCache() : null;
+      if (!cache) {
+        await meter?.record('reads');
+        return namespace.get(key, type);
+      }
+      
+      const hit = await cache.match(edgeKey(key));
+      if (hit) {
+        return hit.json();
+      }
+      
+      await meter?.record('reads');
+      const value = await namespace.get(key, type);
+      try {
+        await cache.put(edgeKey(key), new Response(JSON.stringify(value), {
+          headers: {
+            'Content-Type': 'application/json',
+            'Cache-Control': `max-age=${cacheTtl}`,
+          },
+        }));
+      } catch (error) {
+        log('warn', 'Edge cache put failed', { service, key, error: error.message });
+      }
+      return value;
+    },
+    
+    // Returns false if the write budget turned the write away. `priority` is
+    // 'low' for data that can be rebuilt or refetched, 'normal', or 'critical'.
+    async put(name, value, { priority = 'normal', ...options } = {}) {
+      const key = prefix + name;
+      if (meter && !await meter.allows(priority)) {
+        log('warn', 'KV write skipped to stay within the daily budget', { service, key, priority });
+        return false;
+      }
+      
+      await namespace.put(key, JSON.stringify(value), options);
+      log('info', 'KV write', { service, key });
+      await meter?.record('writes');
+      await dropEdgeCopy(key);
+      return true;
+    },
+    
+    async delete(name) {
+      const key = prefix + name;
+      await namespace.delete(key);
+      log('info', 'KV delete', { service, key });
+      await meter?.record('deletes');
+      await dropEdgeCopy(key);
+    },
+  };
+}
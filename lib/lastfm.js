@@ -0,0 +1,110 @@
+// Last.fm as a music provider: the scrobbled now-playing and last played
+// track, in the same shape as the Spotify worker's tracks (see lib/music.js).
+// Needs LASTFM_USER and an API key (LASTFM_API_KEY) from
+// https://www.last.fm/api/account/create. Scrobbles carry no Spotify IDs, so
+// the privacy rules only see MusicBrainz IDs where Last.fm knows them.
+
+import { getPalette } from './images.js';
+import { log } from './log.js';
+import { createUpstream } from './upstream.js';
+import { recordFetch } from './usage.js';
+
+const API_ENDPOINT = 'https://ws.audioscrobbler.com/2.0/';
+// Last.fm serves this grey star when it has no art for an album
+const PLACEHOLDER_IMAGE = '2a96cbd8b46e442fc41c2b86b821562f';
+
+export const LASTFM_IMAGE_HOSTS = ['lastfm.freetls.fastly.net'];
+
+// Image of the given size ('small', 'medium', 'large' or 'extralarge'), if real
+function image(item, size) {
+  const url = item.image?.find(entry => entry.size === size)?.['#text'] || '';
+  return url.includes(PLACEHOLDER_IMAGE) ? '' : url;
+}
+
+async function normalizeTrack(item, isPlaying) {
+  const artistMbid = item.artist?.mbid;
+  const art = image(item, 'extralarge'); // 300px
+  
+  return {
+    isPlaying,
+    title: item.name || 'Unknown Title',
+    artist: item.artist?.['#text'] || 'Unknown Artist',
+    album: item.album?.['#text'] || 'Unknown Album',
+    albumArt: art,
+    songUrl: item.url || '',
+    trackId: item.mbid || null, // Scrobbles often have none; tracks are then compared by title and artist
+    type: 'track',
+    durationMs: null, // Not in the recent tracks list
+    progressMs: null,
+    fetchedAt: Date.now(),
+    explicit: false,
+    artistIds: artistMbid ? [artistMbid] : [],
+    showId: null,
+    contextUri: null,
+    provider: 'lastfm',
+    palette: await getPalette(art),
+  };
+}
+
+// Provider for one account's env, created for one refresh; calls share a
+// circuit breaker through `store`
+export function createLastFmProvider(env, store) {
+  const upstream = createUpstream(store, 'lastfm', { label: 'Last.fm' });
+  let latest = null;
+  
+  // The newest scrobble (or the track being scrobbled right now), or null
+  async function fetchLatestScrobble() {
+    const url = `${API_ENDPOINT}?` + new URLSearchParams({
+      method: 'user.getrecenttracks',
+      user: env.LASTFM_USER,
+      api_key: env.LASTFM_API_KEY,
+      format: 'json',
+      limit: '1',
+    });
+    
+    let data;
+    try {
+      const response = await upstream.fetch(url);
+      data = await response.json();
+      // Errors come back as { error, message }, sometimes with a 200
+      if (!response.ok || data.error) {
+        throw new Error(`Last.fm returned ${data.error ? `error ${data.error}: ${data.message}` : response.status}`);
+      }
+      recordFetch(env, 'lastfm');
+    } catch (error) {
+      recordFetch(env, 'lastfm', error);
+      throw error;
+    }
+    
+    // A single track isn't wrapped in an array
+    const tracks = [].concat(data.recenttracks?.track || []);
+    return tracks[0] || null;
+  }
+  
+  // The same list answers both "now playing" and "recently played", so it's
+  // only fetched once per refresh
+  function latestScrobble() {
+    latest = latest || fetchLatestScrobble();
+    return latest;
+  }
+  
+  return {
+    name: 'lastfm',
+    
+    async hasAccount() {
+      return !!env.LASTFM_USER && !!env.LASTFM_API_KEY;
+    },
+    
+    async getNowPlaying() {
+      log('info', 'Fetching now playing track from Last.fm');
+      const item = await latestScrobble();
+      return item?.['@attr']?.nowplaying === 'true' ? normalizeTrack(item, true) : null;
+    },
+    
+    async getRecentlyPlayed() {
+      log('info', 'Fetching recently played track from Last.fm');
+      const item = await latestScrobble();
+      return item ? normalizeTrack(item, false) : null;
+    },
+  };
+}
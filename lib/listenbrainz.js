@@ -0,0 +1,89 @@
+// ListenBrainz as a music provider: the playing-now and last submitted listen,
+// in the same shape as the Spotify worker's tracks (see lib/music.js).
+// Needs LISTENBRAINZ_USER; a LISTENBRAINZ_TOKEN (from
+// https://listenbrainz.org/settings/) is optional and raises the rate limit.
+// Album art comes from the Cover Art Archive, for listens matched to a
+// MusicBrainz release.
+
+import { getPalette } from './images.js';
+import { log } from './log.js';
+import { createUpstream } from './upstream.js';
+import { recordFetch } from './usage.js';
+
+const API_ORIGIN = 'https://api.listenbrainz.org';
+const COVER_ART_ORIGIN = 'https://coverartarchive.org';
+
+export const LISTENBRAINZ_IMAGE_HOSTS = ['coverartarchive.org'];
+
+async function normalizeListen(listen, isPlaying) {
+  const metadata = listen.track_metadata || {};
+  const info = metadata.additional_info || {};
+  // Listens are matched to MusicBrainz after they are submitted, so playing-now
+  // listens only have the IDs the player sent
+  const mapping = metadata.mbid_mapping || {};
+  const recordingId = mapping.recording_mbid || info.recording_mbid || null;
+  const releaseId = mapping.caa_release_mbid || mapping.release_mbid || info.release_mbid || null;
+  const albumArt = releaseId ? `${COVER_ART_ORIGIN}/release/${releaseId}/front-250` : '';
+  
+  return {
+    isPlaying,
+    title: metadata.track_name || 'Unknown Title',
+    artist: metadata.artist_name || 'Unknown Artist',
+    album: metadata.release_name || 'Unknown Album',
+    albumArt,
+    songUrl: info.origin_url || (recordingId ? `https://musicbrainz.org/recording/${recordingId}` : ''),
+    trackId: recordingId,
+    type: 'track',
+    durationMs: info.duration_ms ?? (info.duration ? info.duration * 1000 : null),
+    progressMs: null,
+    fetchedAt: Date.now(),
+    explicit: false,
+    artistIds: mapping.artist_mbids || info.artist_mbids || [],
+    showId: null,
+    contextUri: null,
+    provider: 'listenbrainz',
+    palette: await getPalette(albumArt),
+  };
+}
+
+// Provider for one account's env; calls share a circuit breaker through `store`
+export function createListenBrainzProvider(env, store) {
+  const upstream = createUpstream(store, 'listenbrainz', { label: 'ListenBrainz' });
+  
+  // The first listen from a ListenBrainz API path, or null
+  async function firstListen(path) {
+    const headers = env.LISTENBRAINZ_TOKEN ? { 'Authorization': `Token ${env.LISTENBRAINZ_TOKEN}` } : {};
+    try {
+      const response = await upstream.fetch(`${API_ORIGIN}/1/user/${encodeURIComponent(env.LISTENBRAINZ_USER)}${path}`, { headers });
+      if (!response.ok) {
+        throw new Error(`ListenBrainz returned ${response.status}`);
+      }
+      const data = await response.json();
+      recordFetch(env, 'listenbrainz');
+      return data.payload?.listens?.[0] || null;
+    } catch (error) {
+      recordFetch(env, 'listenbrainz', error);
+      throw error;
+    }
+  }
+  
+  return {
+    name: 'listenbrainz',
+    
+    async hasAccount() {
+      return !!env.LISTENBRAINZ_USER;
+    },
+    
+    async getNowPlaying() {
+      log('info', 'Fetching now playing track from ListenBrainz');
+      const listen = await firstListen('/playing-now');
+      return listen ? normalizeListen(listen, true) : null;
+    },
+    
+    async getRecentlyPlayed() {
+      log('info', 'Fetching recently played track from ListenBrainz');
+      const listen = await firstListen('/listens?count=1');
+      return listen ? normalizeListen(listen, false) : null;
+    },
+  };
+}
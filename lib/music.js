@@ -0,0 +1,79 @@
+// Music providers behind the now-playing track: Spotify (in spotify-worker.js),
+// Last.fm (lastfm.js) and ListenBrainz (listenbrainz.js). Every provider
+// returns tracks in the same shape, so caching, history, privacy rules and
+// events work the same whichever one a track came from.
+// A provider is { name, hasAccount(), getNowPlaying(), getRecentlyPlayed() },
+// created for one account's env. MUSIC_PROVIDERS lists them in priority order;
+// by default every provider the account has a login for is asked, Spotify first.
+
+import { HttpError } from './http.js';
+import { log } from './log.js';
+
+const DEFAULT_PROVIDERS = 'spotify,lastfm,listenbrainz';
+
+// The providers to ask, in MUSIC_PROVIDERS order, out of `available` (by name).
+// Providers the account has no login for are left out.
+export async function musicProviders(env, available) {
+  const names = (env.MUSIC_PROVIDERS || DEFAULT_PROVIDERS)
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+  
+  const providers = [];
+  for (const name of new Set(names)) {
+    if (!available[name]) {
+      log('warn', 'Ignoring unknown music provider in MUSIC_PROVIDERS', { name });
+    } else if (await available[name].hasAccount()) {
+      providers.push(available[name]);
+    }
+  }
+  return providers;
+}
+
+// Whether any of the providers in MUSIC_PROVIDERS has an account to ask
+export async function hasMusicAccount(env, available) {
+  return (await musicProviders(env, available)).length > 0;
+}
+
+// The track to show, or null if there is none. The first provider playing
+// something wins; otherwise it's the paused or last played track of the first
+// provider that answered. A provider that fails is skipped, so a later one
+// stands in while it's down. Unless some provider answered, the first error
+// is thrown - "nothing played" must not replace a cached track.
+export async function getLatestTrack(env, available) {
+  const providers = await musicProviders(env, available);
+  if (providers.length === 0) {
+    throw new HttpError(404, 'No music account connected, sign in at /auth/login or set LASTFM_USER or LISTENBRAINZ_USER');
+  }
+  
+  const answered = [];
+  let firstError = null;
+  let settled = false;
+  for (const provider of providers) {
+    try {
+      const track = await provider.getNowPlaying();
+      if (track?.isPlaying) return track;
+      answered.push({ provider, track });
+    } catch (error) {
+      log('warn', 'Music provider failed, trying the next one', { provider: provider.name, error: error.message });
+      firstError = firstError || error;
+    }
+  }
+  
+  for (const { provider, track } of answered) {
+    if (track) return track;
+    
+    log('info', 'No currently playing track, fetching recently played', { provider: provider.name });
+    try {
+      const recent = await provider.getRecentlyPlayed();
+      if (recent) return recent;
+      settled = true;
+    } catch (error) {
+      log('warn', 'Music provider failed, trying the next one', { provider: provider.name, error: error.message });
+      firstError = firstError || error;
+    }
+  }
+  
+  if (firstError && !settled) throw firstError;
+  return null;
+}
@@ -0,0 +1,142 @@
+// Durable Object that pushes now-playing changes to connected visitors
+// One instance (named 'now-playing') holds every open connection. The worker
+// POSTs to /broadcast when tracksEqual detects a change; visitors connect to
+// /stream with Server-Sent Events, or upgrade to a WebSocket.
+
+const HEARTBEAT_INTERVAL = 25000; // Keep idle proxies from closing SSE connections
+const SSE_RETRY_MS = 5000; // Reconnect delay suggested to EventSource clients
+
+const SSE_HEADERS = {
+  'Content-Type': 'text/event-stream',
+  'Cache-Control': 'no-cache',
+  'Connection': 'keep-alive',
+};
+
+const encoder = new TextEncoder();
+
+function sseEvent(event) {
+  return encoder.encode(`id: ${event.id}\nevent: track\ndata: ${JSON.stringify(event.data)}\n\n`);
+}
+
+export class NowPlayingStream {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+    this.writers = new Set(); // SSE connections
+    this.heartbeat = null;
+    this.latest = null; // { id, data } - last broadcast event
+
+    // WebSocket clients can send "ping" to keep the socket open without
+    // waking the object from hibernation
+    this.state.setWebSocketAutoResponse(new WebSocketRequestResponsePair('ping', 'pong'));
+
+    this.state.blockConcurrencyWhile(async () => {
+      this.latest = await this.state.storage.get('latest') || null;
+    });
+  }
+
+  async fetch(request) {
+    const url = new URL(request.url);
+
+    if (url.pathname === '/broadcast' && request.method === 'POST') {
+      await this.broadcast(await request.json());
+      return new Response(null, { status: 204 });
+    }
+
+    if (url.pathname === '/stream') {
+      if (request.headers.get('Upgrade') === 'websocket') {
+        return this.acceptWebSocket();
+      }
+      return this.acceptEventStream(request);
+    }
+
+    return new Response('Not found', { status: 404 });
+  }
+
+  // Store the new track and send it to every connected client
+  async broadcast(track) {
+    this.latest = { id: (this.latest?.id || 0) + 1, data: track };
+    await this.state.storage.put('latest', this.latest);
+
+    // Not awaited: a write only settles once that client reads it, so one
+    // slow connection would otherwise hold up everyone else
+    const message = sseEvent(this.latest);
+    for (const writer of this.writers) this.send(writer, message);
+
+    const wsMessage = JSON.stringify({ type: 'track', id: this.latest.id, data: track });
+    for (const ws of this.state.getWebSockets()) {
+      try {
+        ws.send(wsMessage);
+      } catch (error) {
+        // Socket already closing - the runtime cleans it up
+      }
+    }
+  }
+
+  acceptWebSocket() {
+    const { 0: client, 1: server } = new WebSocketPair();
+    this.state.acceptWebSocket(server);
+
+    if (this.latest) {
+      server.send(JSON.stringify({ type: 'track', id: this.latest.id, data: this.latest.data }));
+    }
+
+    return new Response(null, { status: 101, webSocket: client });
+  }
+
+  // Open an SSE stream. Reconnecting clients send Last-Event-ID, and only get
+  // the latest track again if it changed while they were away.
+  acceptEventStream(request) {
+    const { readable, writable } = new TransformStream();
+    const writer = writable.getWriter();
+    this.writers.add(writer);
+    this.startHeartbeat();
+
+    const lastEventId = Number(request.headers.get('Last-Event-ID')) || 0;
+    let greeting = `retry: ${SSE_RETRY_MS}\n\n`;
+    if (this.latest && this.latest.id !== lastEventId) {
+      greeting += new TextDecoder().decode(sseEvent(this.latest));
+    }
+    this.send(writer, encoder.encode(greeting));
+
+    return new Response(readable, { headers: SSE_HEADERS });
+  }
+
+  // Write to an SSE client, dropping it if the connection has gone away
+  async send(writer, chunk) {
+    try {
+      await writer.write(chunk);
+    } catch (error) {
+      this.writers.delete(writer);
+      if (this.writers.size === 0) this.stopHeartbeat();
+    }
+  }
+
+  startHeartbeat() {
+    if (this.heartbeat) return;
+    this.heartbeat = setInterval(() => {
+      const comment = encoder.encode(': heartbeat\n\n');
+      for (const writer of this.writers) this.send(writer, comment);
+    }, HEARTBEAT_INTERVAL);
+  }
+
+  stopHeartbeat() {
+    clearInterval(this.heartbeat);
+    this.heartbeat = null;
+  }
+
+  async webSocketMessage(ws, message) {
+    // Clients may ask for the current track again, e.g. after a tab wakes up
+    if (message === 'latest' && this.latest) {
+      ws.send(JSON.stringify({ type: 'track', id: this.latest.id, data: this.latest.data }));
+    }
+  }
+
+  async webSocketClose(ws) {
+    try {
+      ws.close(1000, 'Closing');
+    } catch (error) {
+      // Already closed
+    }
+  }
+}
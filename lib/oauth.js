@@ -0,0 +1,38 @@
+// Helpers for OAuth authorization code flows with PKCE (RFC 7636): random
+// state and verifiers, the S256 challenge, and the short-lived cookie that
+// carries them from the login redirect to the callback
+
+function base64url(bytes) {
+  return btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+// URL-safe random string from `bytes` random bytes
+export function randomToken(bytes = 32) {
+  return base64url(crypto.getRandomValues(new Uint8Array(bytes)));
+}
+
+// A code verifier (sent with the token exchange) and its S256 challenge (sent
+// with the authorization request)
+export async function createPKCE() {
+  const verifier = randomToken(64);
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier));
+  return { verifier, challenge: base64url(new Uint8Array(digest)) };
+}
+
+export function getCookie(request, name) {
+  const header = request.headers.get('Cookie') || '';
+  for (const part of header.split(';')) {
+    const [key, ...value] = part.trim().split('=');
+    if (key === name) return value.join('=');
+  }
+  return null;
+}
+
+// Set-Cookie value for a cookie only this worker can read. SameSite=Lax still
+// sends it on the top-level redirect back from the provider.
+export function authCookie(name, value, { path = '/', maxAge }) {
+  return `${name}=${value}; Path=${path}; Max-Age=${maxAge}; HttpOnly; Secure; SameSite=Lax`;
+}
@@ -0,0 +1,187 @@
+// Book details from Open Library (https://openlibrary.org), which has larger
+// covers and more about a book than a Goodreads feed. Books are looked up by
+// ISBN, or by title and author when that finds nothing, and each result is
+// kept in KV so a book is only looked up once (misses are retried after a
+// while, in case Open Library has since added the book).
+// Lookups that fail aren't cached; the book is simply shown without them.
+// An Open Library reading log can also be the worker's book source.
+
+import { createBook } from './books.js';
+import { HttpError } from './http.js';
+import { log } from './log.js';
+import { createUpstream } from './upstream.js';
+import { recordFetch } from './usage.js';
+
+const API_ORIGIN = 'https://openlibrary.org';
+const COVERS_ORIGIN = 'https://covers.openlibrary.org';
+const SEARCH_FIELDS = 'key,cover_i,number_of_pages_median,subject,first_publish_year';
+const MAX_SUBJECTS = 10;
+const MISS_TTL = 30 * 86400; // Seconds before a book Open Library didn't know is tried again
+const LOOKUP_SUBREQUESTS = 3; // At most an ISBN search, a title search and the work
+
+// Shelf names as used on Goodreads -> reading log shelves
+const READING_LOG_SHELVES = {
+  'to-read': 'want-to-read',
+  'currently-reading': 'currently-reading',
+  'read': 'already-read',
+};
+
+// Cover image URL, in size 'S', 'M' or 'L'
+export function coverURL(coverId, size = 'L') {
+  return `${COVERS_ORIGIN}/b/id/${coverId}-${size}.jpg`;
+}
+
+// The medium size of an Open Library cover (small enough for a palette),
+// or the URL unchanged
+export function smallerCover(url) {
+  return url?.startsWith(`${COVERS_ORIGIN}/`) ? url.replace(/-L\.jpg$/, '-M.jpg') : url;
+}
+
+// KV key for a book's details. Titles and authors can be any length and in
+// any script, so they're hashed to keep the key within KV's 512 bytes.
+async function cacheKey(book) {
+  const isbn = (book.isbn || '').replace(/[^0-9X]/gi, '');
+  if (isbn) return `openlibrary:isbn:${isbn}`;
+  
+  const name = `${book.title}|${book.author}`.trim().toLowerCase();
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(name)));
+  return `openlibrary:title:${[...digest].map(byte => byte.toString(16).padStart(2, '0')).join('')}`;
+}
+
+// Work descriptions are either a string or { type, value }
+function descriptionText(description) {
+  const text = typeof description === 'string' ? description : description?.value;
+  return text?.trim() || null;
+}
+
+// GET an Open Library API path as JSON. Calls share one circuit breaker
+// through `store`.
+function createClient(store) {
+  const upstream = createUpstream(store, 'openlibrary', { label: 'Open Library' });
+  
+  return async function getJSON(path) {
+    const response = await upstream.fetch(`${API_ORIGIN}${path}`, {
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (compatible; GoodreadsWorker/1.0)',
+        'Accept': 'application/json',
+      },
+    });
+    if (!response.ok) {
+      throw new Error(`Open Library returned ${response.status}`);
+    }
+    return response.json();
+  };
+}
+
+// Reading log dates look like "2024/03/15, 18:20:31" (UTC)
+function loggedDate(value) {
+  const match = /^(\d{4})\/(\d{2})\/(\d{2}),? (\d{2}:\d{2}:\d{2})/.exec(value || '');
+  return match ? `${match[1]}-${match[2]}-${match[3]}T${match[4]}.000Z` : null;
+}
+
+function readingLogBook(entry, shelf) {
+  const work = entry.work || {};
+  const dateAdded = loggedDate(entry.logged_date);
+  
+  return createBook({
+    title: work.title || 'Unknown Title',
+    author: (work.author_names || []).join(', '),
+    cover: work.cover_id ? coverURL(work.cover_id) : null,
+    link: work.key ? `${API_ORIGIN}${work.key}` : null,
+    id: work.key ? work.key.split('/').pop() : null,
+    dateAdded,
+    // The log only records when a book was moved to a shelf
+    dateRead: shelf === 'read' ? dateAdded : null,
+    publishedYear: work.first_publish_year || null,
+  });
+}
+
+// OPENLIBRARY_USER's reading log as a book source. The reading log must be
+// public (the default). Open Library only has the standard three shelves.
+export function createOpenLibrarySource(env, store) {
+  const getJSON = createClient(store);
+  
+  return {
+    name: 'openlibrary',
+    
+    async hasAccount() {
+      return !!env.OPENLIBRARY_USER;
+    },
+    
+    async fetchShelf(shelf) {
+      if (!(shelf in READING_LOG_SHELVES)) {
+        throw new HttpError(404, `Open Library has no "${shelf}" shelf`);
+      }
+      
+      let data;
+      try {
+        data = await getJSON(`/people/${encodeURIComponent(env.OPENLIBRARY_USER)}/books/${READING_LOG_SHELVES[shelf]}.json`);
+        recordFetch(env, 'openlibrary');
+      } catch (error) {
+        recordFetch(env, 'openlibrary', error);
+        throw error;
+      }
+      
+      const entries = data.reading_log_entries || [];
+      log('info', 'Fetched shelf from Open Library', { shelf, books: entries.length });
+      return entries.map(entry => readingLogBook(entry, shelf));
+    },
+  };
+}
+
+// Book details lookups, cached in `store`
+export function createOpenLibrary(store, env) {
+  const getJSON = createClient(store);
+  
+  async function search(params) {
+    const query = new URLSearchParams({ ...params, fields: SEARCH_FIELDS, limit: '1' });
+    const { docs } = await getJSON(`/search.json?${query}`);
+    return docs?.[0] || null;
+  }
+  
+  // Details for a book, or null if Open Library doesn't know it
+  async function fetchDetails(book) {
+    let doc = book.isbn ? await search({ isbn: book.isbn }) : null;
+    if (!doc && book.title) {
+      doc = await search(book.author ? { title: book.title, author: book.author } : { title: book.title });
+    }
+    if (!doc?.key) return null;
+    
+    const work = await getJSON(`${doc.key}.json`);
+    return {
+      url: `${API_ORIGIN}${doc.key}`,
+      cover: doc.cover_i ? coverURL(doc.cover_i) : null,
+      pages: doc.number_of_pages_median || null,
+      subjects: (doc.subject || []).slice(0, MAX_SUBJECTS),
+      firstPublishYear: doc.first_publish_year || null,
+      description: descriptionText(work.description),
+    };
+  }
+  
+  return {
+    // { details } with the book's details (null if Open Library doesn't have
+    // the book), or null if the lookup failed or didn't fit in `subrequests`
+    // (see subrequests.js). Cached details cost no subrequests.
+    async lookup(book, { subrequests } = {}) {
+      const key = await cacheKey(book);
+      const cached = await store.get(key);
+      if (cached) return cached;
+      if (subrequests && !subrequests.take(LOOKUP_SUBREQUESTS)) return null;
+      
+      let details;
+      try {
+        details = await fetchDetails(book);
+        recordFetch(env, 'openlibrary');
+      } catch (error) {
+        recordFetch(env, 'openlibrary', error);
+        log('warn', 'Open Library lookup failed', { title: book.title, error: error.message });
+        return null;
+      }
+      
+      const entry = { details, timestamp: Date.now() };
+      // Details can always be looked up again
+      await store.put(key, entry, details ? { priority: 'low' } : { priority: 'low', expirationTtl: MISS_TTL });
+      return entry;
+    },
+  };
+}
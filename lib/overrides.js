@@ -0,0 +1,62 @@
+// Manual overrides set through the workers' admin routes: a pinned book or
+// hidden tracks, kept in KV until they expire and preferred over whatever
+// the upstream says until then.
+// An override is stored as { ..., expiresAt } under the account's prefix.
+
+import { HttpError, jsonResponse } from './http.js';
+
+const DEFAULT_TTL = 86400; // 1 day
+const MIN_TTL = 60; // KV's shortest expirationTtl
+const MAX_TTL = 90 * 86400;
+
+// The JSON body of an admin request ({} when it has none) and the expiry its
+// `expiresIn` (seconds from now) asks for
+export async function readOverrideRequest(request, { defaultTtl = DEFAULT_TTL } = {}) {
+  const text = await request.text();
+  let body = {};
+  if (text.trim()) {
+    try {
+      body = JSON.parse(text);
+    } catch (error) {
+      throw new HttpError(400, `Invalid JSON body: ${error.message}`);
+    }
+  }
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new HttpError(400, 'Expected a JSON object');
+  }
+  
+  const ttl = body.expiresIn === undefined ? defaultTtl : Number(body.expiresIn);
+  if (!Number.isInteger(ttl) || ttl < MIN_TTL || ttl > MAX_TTL) {
+    throw new HttpError(400, `expiresIn must be a whole number of seconds from ${MIN_TTL} to ${MAX_TTL}`);
+  }
+  return { body, expiresAt: Date.now() + ttl * 1000 };
+}
+
+// The override under `key`, or null once it has expired. KV drops expired
+// keys by itself, but not always right away, and edge copies may linger.
+export async function getOverride(store, key, options) {
+  const override = await store.get(key, options);
+  return override?.expiresAt > Date.now() ? override : null;
+}
+
+// Store an override until its expiresAt. The admin asked for it, so it's a
+// critical write that the daily budget never turns away.
+export async function putOverride(store, key, override) {
+  const expirationTtl = Math.max(MIN_TTL, Math.ceil((override.expiresAt - Date.now()) / 1000));
+  await store.put(key, override, { expirationTtl, priority: 'critical' });
+  return override;
+}
+
+// An override as the admin routes show it, with ISO dates
+export function formatOverride(override) {
+  return override && {
+    ...override,
+    setAt: new Date(override.setAt).toISOString(),
+    expiresAt: new Date(override.expiresAt).toISOString(),
+  };
+}
+
+// Admin responses reflect KV as it is right now, so they're never cached
+export function adminResponse(body) {
+  return jsonResponse(body, 200, { 'Cache-Control': 'no-store' });
+}
@@ -0,0 +1,356 @@
+// Colour palette of a cover or album art image, for themeing a page to match it
+// Workers have no image decoder, so this reads baseline JPEGs (what Spotify and
+// Goodreads serve) just far enough to get the DC coefficient of each 8x8 block
+// - the block's average colour - without the inverse DCT. That's plenty for a
+// palette and cheap enough to run inside a request. Other formats get no palette.
+
+const BUCKET_BITS = 4; // Per channel, so colours are grouped into 4,096 buckets
+const PALETTE_SIZE = 5;
+const MIN_SHARE = 0.02; // Buckets below 2% of the image can't be the accent
+const MIN_DISTANCE = 48; // How far apart (RGB distance) palette colours must be
+// Decoding is linear in the number of blocks; this is about a 400x400 image.
+// Callers pick the smallest version of an image (Spotify's 64px art, say).
+const MAX_BLOCKS = 4096;
+const LOOKUP_BITS = 9; // Huffman codes up to this long are decoded with one table lookup
+
+// The first value of each quantization table (the DC quantizer) by table ID
+function readQuantTables(segment, quant) {
+  for (let i = 0; i < segment.length;) {
+    const precision = segment[i] >> 4;
+    const id = segment[i] & 15;
+    quant[id] = precision ? (segment[i + 1] << 8) | segment[i + 2] : segment[i + 1];
+    i += 1 + 64 * (precision ? 2 : 1);
+  }
+}
+
+// Canonical Huffman tables in the lookup form of the JPEG spec (F.2.2.3), plus
+// a table that decodes codes of up to LOOKUP_BITS bits with a single lookup
+function readHuffmanTables(segment, dcTables, acTables) {
+  for (let i = 0; i < segment.length;) {
+    const tableClass = segment[i] >> 4;
+    const id = segment[i] & 15;
+    const counts = segment.subarray(i + 1, i + 17);
+    const total = counts.reduce((sum, count) => sum + count, 0);
+    const values = segment.subarray(i + 17, i + 17 + total);
+    
+    const maxCode = new Int32Array(17).fill(-1);
+    const minCode = new Int32Array(17);
+    const valuePointer = new Int32Array(17);
+    const lookup = new Uint16Array(1 << LOOKUP_BITS); // (length << 8) | value, 0 if longer
+    let code = 0;
+    let k = 0;
+    for (let length = 1; length <= 16; length++) {
+      valuePointer[length] = k;
+      minCode[length] = code;
+      for (let n = 0; n < counts[length - 1]; n++, code++, k++) {
+        if (length <= LOOKUP_BITS) {
+          const first = code << (LOOKUP_BITS - length);
+          lookup.fill((length << 8) | values[k], first, first + (1 << (LOOKUP_BITS - length)));
+        }
+      }
+      if (counts[length - 1]) maxCode[length] = code - 1;
+      code <<= 1;
+    }
+    
+    (tableClass === 0 ? dcTables : acTables)[id] = { maxCode, minCode, valuePointer, values, lookup };
+    i += 17 + total;
+  }
+}
+
+function readFrame(segment) {
+  const components = [];
+  for (let i = 0; i < segment[5]; i++) {
+    const offset = 6 + i * 3;
+    components.push({
+      id: segment[offset],
+      h: segment[offset + 1] >> 4,
+      v: segment[offset + 1] & 15,
+      quant: segment[offset + 2],
+    });
+  }
+  return {
+    height: (segment[1] << 8) | segment[2],
+    width: (segment[3] << 8) | segment[4],
+    components,
+  };
+}
+
+// Reads the entropy-coded data through a bit buffer, skipping stuffed zero
+// bytes. A marker ends the data: reading past it throws.
+function createBitReader(bytes, start) {
+  let pos = start;
+  let buffer = 0;
+  let count = 0; // Bits in the buffer
+  let padding = 0; // Of which zero bits fed in after the end of the data
+  
+  function fill() {
+    while (count <= 24) {
+      let byte = 0;
+      if (pos < bytes.length && !(bytes[pos] === 0xFF && bytes[pos + 1] !== 0x00)) {
+        byte = bytes[pos++];
+        if (byte === 0xFF) pos++; // Stuffed zero byte
+      } else {
+        padding += 8;
+      }
+      buffer = (buffer << 8) | byte;
+      count += 8;
+    }
+  }
+  
+  function peek(length) {
+    if (count < length) fill();
+    return (buffer >>> (count - length)) & ((1 << length) - 1);
+  }
+  
+  function skip(length) {
+    count -= length;
+    if (count < padding) throw new Error('Unexpected end of JPEG data');
+  }
+  
+  function bits(length) {
+    if (length === 0) return 0;
+    const value = peek(length);
+    skip(length);
+    return value;
+  }
+  
+  return {
+    bits,
+    
+    decode(table) {
+      const entry = table.lookup[peek(LOOKUP_BITS)];
+      if (entry) {
+        skip(entry >> 8);
+        return entry & 0xFF;
+      }
+      for (let length = LOOKUP_BITS + 1; length <= 16; length++) {
+        const code = peek(length);
+        if (code <= table.maxCode[length]) {
+          skip(length);
+          return table.values[table.valuePointer[length] + code - table.minCode[length]];
+        }
+      }
+      throw new Error('Invalid Huffman code');
+    },
+    
+    // A coefficient of `size` bits, sign-extended (F.2.2.1)
+    receive(size) {
+      if (size === 0) return 0;
+      const value = bits(size);
+      return value < 1 << (size - 1) ? value - (1 << size) + 1 : value;
+    },
+    
+    // Drop the rest of the byte and skip past the RSTn marker
+    restart() {
+      buffer = 0;
+      count = 0;
+      padding = 0;
+      if (bytes[pos] === 0xFF && bytes[pos + 1] >= 0xD0 && bytes[pos + 1] <= 0xD7) {
+        pos += 2;
+      }
+    },
+  };
+}
+
+// Decode one block and return its DC coefficient; the AC coefficients are
+// decoded only to skip past them
+function readBlockDC(reader, component) {
+  component.prediction += reader.receive(reader.decode(component.dcTable));
+  
+  for (let k = 1; k < 64;) {
+    const symbol = reader.decode(component.acTable);
+    const run = symbol >> 4;
+    const size = symbol & 15;
+    if (size === 0) {
+      if (run !== 15) break; // End of block
+      k += 16;
+      continue;
+    }
+    reader.bits(size);
+    k += run + 1;
+  }
+  return component.prediction;
+}
+
+function clamp(value) {
+  return Math.max(0, Math.min(255, Math.round(value)));
+}
+
+function ycbcrToRGB(y, cb, cr) {
+  return [
+    clamp(y + 1.402 * (cr - 128)),
+    clamp(y - 0.344136 * (cb - 128) - 0.714136 * (cr - 128)),
+    clamp(y + 1.772 * (cb - 128)),
+  ];
+}
+
+// The average colour of every MCU (the smallest group of blocks covering all
+// components) as [r, g, b]. Three components are YCbCr unless `rgb` is set.
+function decodeScan(bytes, start, scan, frame, quant, dcTables, acTables, restartInterval, rgb) {
+  const components = [];
+  for (let i = 0; i < scan[0]; i++) {
+    const component = frame.components.find(candidate => candidate.id === scan[1 + i * 2]);
+    if (!component) return null;
+    components.push({
+      ...component,
+      dcTable: dcTables[scan[2 + i * 2] >> 4],
+      acTable: acTables[scan[2 + i * 2] & 15],
+      quantizer: quant[component.quant] || 1,
+      prediction: 0,
+    });
+  }
+  // Greyscale, or YCbCr (or RGB) in a single interleaved scan
+  if (components.length !== frame.components.length || ![1, 3].includes(components.length)) return null;
+  if (components.some(component => !component.dcTable || !component.acTable)) return null;
+  
+  // A single-component scan has one block per MCU, whatever its sampling factors
+  if (components.length === 1) components[0].h = components[0].v = 1;
+  const hMax = Math.max(...components.map(component => component.h));
+  const vMax = Math.max(...components.map(component => component.v));
+  const mcuCount = Math.ceil(frame.width / (8 * hMax)) * Math.ceil(frame.height / (8 * vMax));
+  const blocksPerMCU = components.reduce((sum, component) => sum + component.h * component.v, 0);
+  if (mcuCount * blocksPerMCU > MAX_BLOCKS) return null;
+  
+  const reader = createBitReader(bytes, start);
+  const colors = [];
+  try {
+    for (let mcu = 0; mcu < mcuCount; mcu++) {
+      if (restartInterval && mcu > 0 && mcu % restartInterval === 0) {
+        reader.restart();
+        for (const component of components) component.prediction = 0;
+      }
+      
+      // Average sample value of each component, from DC / 8 plus the level shift
+      const levels = components.map(component => {
+        const blocks = component.h * component.v;
+        let sum = 0;
+        for (let block = 0; block < blocks; block++) sum += readBlockDC(reader, component);
+        return (sum / blocks) * component.quantizer / 8 + 128;
+      });
+      if (levels.length === 1) {
+        colors.push([levels[0], levels[0], levels[0]].map(Math.round));
+      } else {
+        colors.push(rgb ? levels.map(clamp) : ycbcrToRGB(...levels));
+      }
+    }
+  } catch (error) {
+    // Truncated or damaged data - use what was decoded, if it's most of the image
+    if (colors.length < mcuCount / 2) return null;
+  }
+  return colors;
+}
+
+// Average colour of each MCU of a baseline JPEG, or null if it can't be read
+export function jpegColors(bytes) {
+  if (bytes[0] !== 0xFF || bytes[1] !== 0xD8) return null;
+  
+  const quant = [];
+  const dcTables = [];
+  const acTables = [];
+  let frame = null;
+  let restartInterval = 0;
+  let rgb = false;
+  
+  for (let pos = 2; pos + 4 <= bytes.length;) {
+    if (bytes[pos] !== 0xFF) return null;
+    const marker = bytes[pos + 1];
+    if (marker === 0xFF) {
+      pos++; // Fill byte
+      continue;
+    }
+    
+    const length = (bytes[pos + 2] << 8) | bytes[pos + 3];
+    const segment = bytes.subarray(pos + 4, pos + 2 + length);
+    if (marker === 0xDB) {
+      readQuantTables(segment, quant);
+    } else if (marker === 0xC4) {
+      readHuffmanTables(segment, dcTables, acTables);
+    } else if (marker === 0xDD) {
+      restartInterval = (segment[0] << 8) | segment[1];
+    } else if (marker === 0xEE && String.fromCharCode(...segment.subarray(0, 5)) === 'Adobe') {
+      // APP14 from Adobe: a colour transform of 0 means the samples are RGB
+      // rather than YCbCr (2, YCCK, has four components and isn't read)
+      rgb = segment[11] === 0;
+    } else if (marker === 0xC0 || marker === 0xC1) {
+      frame = readFrame(segment);
+    } else if (marker === 0xDA) {
+      return frame && decodeScan(bytes, pos + 2 + length, segment, frame, quant, dcTables, acTables, restartInterval, rgb);
+    } else if (marker >= 0xC2 && marker <= 0xCF && marker !== 0xC8 && marker !== 0xCC) {
+      return null; // Progressive, lossless or arithmetic coded
+    } else if (marker === 0xD9) {
+      return null;
+    }
+    pos += 2 + length;
+  }
+  return null;
+}
+
+function toHex([r, g, b]) {
+  return `#${[r, g, b].map(channel => channel.toString(16).padStart(2, '0')).join('')}`;
+}
+
+function distance(a, b) {
+  return Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+}
+
+// 0 for greys, up to 1 for pure hues
+function saturation([r, g, b]) {
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  return max === 0 ? 0 : (max - min) / max;
+}
+
+// WCAG relative luminance, 0 (black) to 1 (white)
+function luminance(color) {
+  const [r, g, b] = color.map(channel => {
+    const value = channel / 255;
+    return value <= 0.03928 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+// { dominant, accent, text, colors } as hex colours from a list of pixel
+// colours: the most common colour, the most vivid reasonably common one that
+// stands apart from it, black or white - whichever reads better on the
+// dominant colour - and up to five distinct colours, most common first
+export function buildPalette(pixels) {
+  if (!pixels?.length) return null;
+  
+  const shift = 8 - BUCKET_BITS;
+  const buckets = new Map();
+  for (const [r, g, b] of pixels) {
+    const key = ((r >> shift) << (BUCKET_BITS * 2)) | ((g >> shift) << BUCKET_BITS) | (b >> shift);
+    const bucket = buckets.get(key) || { count: 0, sum: [0, 0, 0] };
+    bucket.count++;
+    bucket.sum[0] += r;
+    bucket.sum[1] += g;
+    bucket.sum[2] += b;
+    buckets.set(key, bucket);
+  }
+  
+  const ranked = [...buckets.values()]
+    .sort((a, b) => b.count - a.count)
+    .map(bucket => ({ count: bucket.count, color: bucket.sum.map(sum => Math.round(sum / bucket.count)) }));
+  
+  const colors = [];
+  for (const { color } of ranked) {
+    if (colors.every(chosen => distance(chosen, color) >= MIN_DISTANCE)) colors.push(color);
+    if (colors.length === PALETTE_SIZE) break;
+  }
+  
+  const dominant = colors[0];
+  const accent = ranked
+    .filter(({ count, color }) => count >= pixels.length * MIN_SHARE && distance(color, dominant) >= MIN_DISTANCE)
+    .sort((a, b) => saturation(b.color) ** 2 * Math.sqrt(b.count) - saturation(a.color) ** 2 * Math.sqrt(a.count))[0]?.color;
+  
+  // Contrast ratios against black and white: (L + 0.05) / 0.05 vs 1.05 / (L + 0.05)
+  const light = luminance(dominant);
+  const text = (light + 0.05) / 0.05 >= 1.05 / (light + 0.05) ? '#000000' : '#ffffff';
+  
+  return {
+    dominant: toHex(dominant),
+    accent: toHex(accent || colors[1] || dominant),
+    text,
+    colors: colors.map(toHex),
+  };
+}
@@ -0,0 +1,251 @@
+// Minimal router plus the fetch and scheduled middleware shared by all workers:
+// CORS and access control, request logging, error envelopes and cron dispatch
+
+import { checkApiKey, checkRateLimit, corsHeadersFor, getAccessConfig, isOriginAllowed } from './access.js';
+import { HttpError, errorResponse, withConditional, withCors, withPrivateCaching } from './http.js';
+import { log } from './log.js';
+
+// No trailing slash, except for the root itself
+function normalizePath(pathname) {
+  return pathname.replace(/\/+$/, '') || '/';
+}
+
+// Compile '/shelves/:shelf', '/top/*' or '*' into a function that returns the
+// route params for a matching path, or null
+function compilePattern(pattern) {
+  if (pattern === '*') return () => ({});
+  
+  const parts = normalizePath(pattern).split('/');
+  return (path) => {
+    const segments = path.split('/');
+    const params = {};
+    
+    for (let i = 0; i < parts.length; i++) {
+      if (parts[i] === '*') return params;
+      if (i >= segments.length) return null;
+      
+      if (parts[i].startsWith(':')) {
+        try {
+          params[parts[i].slice(1)] = decodeURIComponent(segments[i]);
+        } catch (error) {
+          return null; // Malformed escape sequence
+        }
+      } else if (parts[i] !== segments[i]) {
+        return null;
+      }
+    }
+    
+    return segments.length === parts.length ? params : null;
+  };
+}
+
+// Env hooks of nested mounts, outermost first
+function chainEnv(outer, inner) {
+  if (!outer || !inner) return outer || inner;
+  return (env, params) => inner(outer(env, params), params);
+}
+
+export class Router {
+  // options.errorMessage is the `error` text for unexpected failures in these routes.
+  // Routes registered with { private: true } need an API key once API_KEYS is set;
+  // { admin: true } routes always need an ADMIN_KEYS key, so they're unavailable
+  // without ADMIN_KEYS.
+  constructor(options = {}) {
+    this.options = options;
+    this.routes = [];
+  }
+  
+  get(pattern, handler, options = {}) {
+    return this.on('GET', pattern, handler, options);
+  }
+  
+  on(method, pattern, handler, options = {}) {
+    this.routes.push({ method, match: compilePattern(pattern), handler, options });
+    return this;
+  }
+  
+  // Serve another router's routes under a path prefix, which may have params
+  // ('/u/:handle'). options.env(env, params) gives the env those routes run with.
+  mount(prefix, router, options = {}) {
+    const path = normalizePath(prefix);
+    this.routes.push({
+      router,
+      match: compilePattern(`${path}/*`),
+      depth: path.split('/').length,
+      env: options.env,
+    });
+    return this;
+  }
+  
+  // First matching route as { handler, params, errorMessage, private, admin, env, base },
+  // or null. `base` is the part of the path the route's mounts matched.
+  match(method, path) {
+    for (const route of this.routes) {
+      if (route.router) {
+        const params = route.match(path);
+        if (!params) continue;
+        
+        const found = route.router.match(method, `/${path.split('/').slice(route.depth).join('/')}`);
+        if (found) {
+          return {
+            ...found,
+            params: { ...params, ...found.params },
+            env: chainEnv(route.env, found.env),
+            base: path.split('/').slice(0, route.depth).join('/') + found.base,
+          };
+        }
+        continue;
+      }
+      
+      if (route.method !== method && !(method === 'HEAD' && route.method === 'GET')) continue;
+      
+      const params = route.match(path);
+      if (params) {
+        return {
+          handler: route.handler,
+          params,
+          errorMessage: route.options.errorMessage || this.options.errorMessage,
+          private: !!route.options.private,
+          admin: !!route.options.admin,
+          base: '',
+        };
+      }
+    }
+    return null;
+  }
+}
+
+// Build a Worker fetch handler around a router. Handlers receive
+// { request, env, ctx, url, params, authorized, base } and return a Response;
+// `env` is the one from the route's mount, if it sets one, and `base` the URL
+// the router's own routes start from (such as https://example.com/spotify).
+// HttpErrors become their status code, anything else a 500 with the route's
+// error message. `authorized` is true for API key holders, and for everyone
+// when no API keys are configured. Cacheable responses get an ETag, and
+// conditional requests a 304.
+export function createFetchHandler(router, { service } = {}) {
+  return async function fetch(request, env, ctx) {
+    log('info', 'Received fetch request', {
+      service,
+      method: request.method,
+      url: request.url,
+    });
+    
+    const url = new URL(request.url);
+    const access = getAccessConfig(env);
+    const origin = request.headers.get('Origin');
+    const corsHeaders = corsHeadersFor(access, origin);
+    
+    // Handle CORS preflight
+    if (request.method === 'OPTIONS') {
+      return new Response(null, { headers: corsHeaders });
+    }
+    
+    const apiKey = await checkApiKey(access, request);
+    if (apiKey === 'invalid') {
+      return withCors(errorResponse(401, 'Invalid API key'), corsHeaders);
+    }
+    const hasKey = apiKey === 'valid' || apiKey === 'admin';
+    
+    // Pages served by the worker itself (such as the sign-in form) may always call it
+    if (!hasKey && origin !== url.origin && !isOriginAllowed(access, origin)) {
+      log('warn', 'Rejected request from origin not on the allowlist', { service, origin });
+      return withCors(errorResponse(403, 'Origin not allowed'), corsHeaders);
+    }
+    
+    if (!hasKey) {
+      const retryAfter = await checkRateLimit(env, access, request);
+      if (retryAfter) {
+        log('warn', 'Rate limit exceeded', {
+          service,
+          ip: request.headers.get('CF-Connecting-IP'),
+          origin,
+          retryAfter,
+        });
+        return withCors(
+          errorResponse(429, 'Too many requests', undefined, { 'Retry-After': String(retryAfter) }),
+          corsHeaders
+        );
+      }
+    }
+    
+    const route = router.match(request.method, normalizePath(url.pathname));
+    if (!route) {
+      return withCors(errorResponse(404, 'Not found'), corsHeaders);
+    }
+    
+    const authorized = hasKey || access.apiKeys.length === 0;
+    if (route.private && !authorized) {
+      return withCors(errorResponse(401, 'API key required'), corsHeaders);
+    }
+    if (route.admin && apiKey !== 'admin') {
+      if (access.adminKeys.length === 0) {
+        return withCors(errorResponse(401, 'Admin key required', 'Set ADMIN_KEYS to use this endpoint'), corsHeaders);
+      }
+      // A read-only key is known but not allowed here
+      return withCors(errorResponse(hasKey ? 403 : 401, 'Admin key required'), corsHeaders);
+    }
+    
+    try {
+      const routeEnv = route.env ? route.env(env, route.params) : env;
+      let response = await route.handler({
+        request,
+        env: routeEnv,
+        ctx,
+        url,
+        params: route.params,
+        authorized,
+        base: url.origin + route.base,
+      });
+      if (hasKey) {
+        response = withPrivateCaching(response);
+      }
+      response = await withConditional(request, response);
+      return withCors(response, corsHeaders);
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return withCors(errorResponse(error.status, error.message), corsHeaders);
+      }
+      
+      log('error', 'Error in fetch handler', {
+        service,
+        path: url.pathname,
+        error: error.message,
+        stack: error.stack,
+      });
+      return withCors(errorResponse(500, route.errorMessage || 'Request failed', error.message), corsHeaders);
+    }
+  };
+}
+
+// Build a Worker scheduled handler that runs the jobs registered for the
+// trigger's cron expression. Jobs under '*' run for any other expression.
+// Each job is isolated, so one failing job doesn't stop the rest.
+export function createScheduledHandler(jobs, { service } = {}) {
+  return async function scheduled(event, env, ctx) {
+    log('info', 'Scheduled handler triggered', {
+      service,
+      cron: event.cron,
+      scheduledTime: event.scheduledTime,
+    });
+    
+    const handlers = [].concat(jobs[event.cron] || jobs['*'] || []);
+    if (handlers.length === 0) {
+      log('warn', 'No scheduled jobs registered for cron', { service, cron: event.cron });
+    }
+    
+    for (const job of handlers) {
+      try {
+        await job(event, env, ctx);
+      } catch (error) {
+        log('error', 'Scheduled job failed', {
+          service,
+          cron: event.cron,
+          job: job.name,
+          error: error.message,
+          stack: error.stack,
+        });
+      }
+    }
+  };
+}
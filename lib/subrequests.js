@@ -0,0 +1,42 @@
+// Subrequest budget for one invocation. Cloudflare caps the fetches (and
+// Cache API calls) a single invocation may make - 50 on the free plan, 1,000
+// on paid - and a scheduled run shares that cap between every account in
+// its batch. Set SUBREQUEST_LIMIT to "1000" on a paid plan.
+
+const DEFAULT_SUBREQUEST_LIMIT = 50;
+const RESERVED_SUBREQUESTS = 5; // Kept back for webhooks and the like
+
+// Subrequests an invocation may spend on planned work
+export function subrequestLimit(env) {
+  const limit = parseInt(env.SUBREQUEST_LIMIT, 10);
+  return Math.max(0, (limit > 0 ? limit : DEFAULT_SUBREQUEST_LIMIT) - RESERVED_SUBREQUESTS);
+}
+
+// A budget of `limit` subrequests. take(count) reserves them before they're
+// made, and returns false (reserving nothing) when they don't fit. A budget
+// shared out with share() also takes from the `parent` it came from.
+export function createSubrequestBudget(limit, parent = null) {
+  let used = 0;
+  return {
+    used() {
+      return used;
+    },
+    
+    remaining() {
+      return limit - used;
+    },
+    
+    take(count = 1) {
+      if (used + count > limit) return false;
+      if (parent && !parent.take(count)) return false;
+      used += count;
+      return true;
+    },
+    
+    // An equal part of what's left, for the next of `parts` jobs sharing this
+    // budget, so an early job can't leave nothing for the later ones
+    share(parts) {
+      return createSubrequestBudget(Math.floor(this.remaining() / parts), this);
+    },
+  };
+}
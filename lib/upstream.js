@@ -0,0 +1,143 @@
+// Resilient calls to upstream services (Goodreads, Spotify): bounded retries
+// with jittered exponential backoff that honour Retry-After, a circuit breaker
+// that stops calling a service that keeps failing, and background refreshes
+// so visitors are served cached data while fresh data is fetched.
+// The breaker's open state is kept in KV, so every isolate backs off together;
+// it costs a write only when the circuit opens.
+
+import { HttpError } from './http.js';
+import { log } from './log.js';
+
+const RETRIES = 2; // Attempts after the first
+const RETRY_BASE_DELAY_MS = 250; // Doubles with every attempt, with full jitter
+const RETRY_MAX_DELAY_MS = 5000; // Longer waits (e.g. a long Retry-After) open the circuit instead
+const BREAKER_THRESHOLD = 5; // Consecutive failed calls that open the circuit
+const BREAKER_COOLDOWN = 300; // Seconds before a failing service is tried again
+const BREAKER_EDGE_TTL = 60; // Seconds a closed circuit is read from the edge cache
+const MIN_KV_TTL = 60; // KV's minimum expirationTtl
+
+// Per isolate: consecutive failures and open circuits by service, and
+// background refreshes in flight by key
+const failures = new Map();
+const openUntil = new Map();
+const refreshing = new Map();
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Responses worth another attempt: rate limited or a server-side failure
+function isRetryable(response) {
+  return response.status === 429 || response.status >= 500;
+}
+
+// Retry-After in ms (delay-seconds or an HTTP date), or null if absent
+function retryAfterMs(response) {
+  const header = response.headers.get('Retry-After');
+  if (!header) return null;
+  
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function backoffMs(attempt) {
+  return Math.random() * Math.min(RETRY_BASE_DELAY_MS * 2 ** attempt, RETRY_MAX_DELAY_MS);
+}
+
+function circuitKey(source) {
+  return `circuit:${source}`;
+}
+
+// Calls to one upstream `source` ('goodreads', 'spotify', ...) through fetch(),
+// guarded by a circuit breaker shared through `store` (a lib/kv.js store).
+// fetch() resolves with the last response, which may still be an error the
+// caller handles, and throws a 503 HttpError while the circuit is open.
+export function createUpstream(store, source, { label = source, retries = RETRIES } = {}) {
+  async function assertClosed() {
+    let until = openUntil.get(source) || 0;
+    if (until <= Date.now()) {
+      const circuit = await store.get(circuitKey(source), { cacheTtl: BREAKER_EDGE_TTL });
+      until = circuit?.until || 0;
+    }
+    
+    if (until > Date.now()) {
+      openUntil.set(source, until);
+      throw new HttpError(503, `${label} is temporarily unavailable, retrying after ${new Date(until).toISOString()}`);
+    }
+  }
+  
+  async function open(cooldownMs, reason) {
+    const until = Date.now() + cooldownMs;
+    openUntil.set(source, until);
+    log('warn', 'Circuit opened, pausing calls to upstream', { source, until: new Date(until).toISOString(), reason });
+    await store.put(circuitKey(source), { until, reason }, {
+      expirationTtl: Math.max(MIN_KV_TTL, Math.ceil(cooldownMs / 1000)),
+    });
+  }
+  
+  async function recordFailure(reason, retryAfter) {
+    const count = (failures.get(source) || 0) + 1;
+    failures.set(source, count);
+    // A Retry-After too long to wait out stops everyone calling, straight away
+    if (retryAfter > RETRY_MAX_DELAY_MS) {
+      await open(retryAfter, reason);
+    } else if (count >= BREAKER_THRESHOLD) {
+      await open(BREAKER_COOLDOWN * 1000, reason);
+    }
+  }
+  
+  return {
+    async fetch(url, init) {
+      await assertClosed();
+      
+      for (let attempt = 0; ; attempt++) {
+        let response;
+        try {
+          response = await fetch(url, init);
+        } catch (error) {
+          if (attempt >= retries) {
+            await recordFailure(error.message);
+            throw error;
+          }
+          log('warn', 'Upstream request failed, retrying', { source, attempt: attempt + 1, error: error.message });
+          await sleep(backoffMs(attempt));
+          continue;
+        }
+        
+        if (!isRetryable(response)) {
+          failures.delete(source);
+          return response;
+        }
+        
+        const retryAfter = retryAfterMs(response);
+        if (attempt >= retries || retryAfter > RETRY_MAX_DELAY_MS) {
+          await recordFailure(`HTTP ${response.status}`, retryAfter);
+          return response;
+        }
+        
+        const delay = retryAfter ?? backoffMs(attempt);
+        log('warn', 'Upstream returned a retryable status, retrying', {
+          source,
+          status: response.status,
+          attempt: attempt + 1,
+          delayMs: Math.round(delay),
+        });
+        await sleep(delay);
+      }
+    },
+  };
+}
+
+// Run refresh() in the background through ctx.waitUntil, so the visitor gets
+// cached data right away. Concurrent requests for the same key in an isolate
+// share one refresh; a failed refresh only logs, the cached data stays.
+export function refreshInBackground(ctx, key, refresh) {
+  if (refreshing.has(key)) return;
+  
+  const promise = refresh()
+    .catch(error => log('warn', 'Background refresh failed, keeping cached data', { key, error: error.message }))
+    .finally(() => refreshing.delete(key));
+  refreshing.set(key, promise);
+  ctx.waitUntil(promise);
+}
@@ -0,0 +1,216 @@
+// Daily KV usage, upstream health and the KV write budget
+// Every KV read, write and delete is counted per UTC day (when Cloudflare's
+// free-tier limits reset), along with the last successful fetch and last
+// error for each upstream. With a USAGE_METER binding the counts are shared
+// by all isolates through the UsageMeter Durable Object; without one each
+// isolate only knows about its own operations.
+// As writes approach KV_WRITE_BUDGET (default 1,000 a day) the budget guard
+// turns away writes by priority: 'low' ones (shared caches and derived data)
+// from 80%, 'normal' ones from 95%. 'critical' writes, such as a rotated
+// refresh token that would otherwise be lost, always go through.
+
+import { jsonResponse } from './http.js';
+import { log } from './log.js';
+
+const OPERATIONS = ['reads', 'writes', 'deletes'];
+const SYNC_INTERVAL = 60000; // Report buffered reads at most a minute late
+const RETENTION_DAYS = 7;
+const DEFAULT_WRITE_BUDGET = 1000; // Workers KV free tier
+const CONSERVE_AT = 0.8;
+const CRITICAL_AT = 0.95;
+
+// Operations not yet reported to the meter, and today's totals as far as
+// this isolate knows (the meter's last answer plus anything since)
+let pending = { reads: 0, writes: 0, deletes: 0 };
+let known = { date: null, reads: 0, writes: 0, deletes: 0, syncedAt: 0 };
+// Upstream health by account and source, not yet reported / as last known
+let pendingHealth = {};
+let knownHealth = {};
+
+function utcDate(timestamp = Date.now()) {
+  return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+function meterStub(env) {
+  if (!env.USAGE_METER) return null;
+  return env.USAGE_METER.get(env.USAGE_METER.idFromName('usage'));
+}
+
+function startDayIfNeeded() {
+  const today = utcDate();
+  if (known.date !== today) {
+    known = { date: today, reads: 0, writes: 0, deletes: 0, syncedAt: 0 };
+  }
+}
+
+// Send buffered counts and health to the meter and take its totals. A failed
+// report keeps the counts buffered for the next attempt.
+async function sync(env) {
+  startDayIfNeeded();
+  const stub = meterStub(env);
+  if (!stub) {
+    known.syncedAt = Date.now();
+    return;
+  }
+  
+  const report = { date: known.date, ...pending, health: pendingHealth };
+  pending = { reads: 0, writes: 0, deletes: 0 };
+  pendingHealth = {};
+  
+  try {
+    const response = await stub.fetch('https://usage-meter/record', {
+      method: 'POST',
+      body: JSON.stringify(report),
+    });
+    const { counts, health } = await response.json();
+    known = { date: report.date, ...counts, syncedAt: Date.now() };
+    knownHealth = health;
+  } catch (error) {
+    for (const operation of OPERATIONS) pending[operation] += report[operation];
+    pendingHealth = mergeHealth(report.health, pendingHealth);
+    log('warn', 'Failed to report KV usage', { error: error.message });
+  }
+}
+
+function mergeHealth(target, updates) {
+  const merged = { ...target };
+  for (const [account, sources] of Object.entries(updates)) {
+    merged[account] = { ...merged[account] };
+    for (const [source, entry] of Object.entries(sources)) {
+      merged[account][source] = { ...merged[account][source], ...entry };
+    }
+  }
+  return merged;
+}
+
+function budgetLevel(env) {
+  const budget = parseInt(env.KV_WRITE_BUDGET, 10) || DEFAULT_WRITE_BUDGET;
+  if (known.writes >= budget * CRITICAL_AT) return 'critical';
+  if (known.writes >= budget * CONSERVE_AT) return 'conserve';
+  return 'ok';
+}
+
+// Hooks for lib/kv.js: count operations and apply the write budget
+export function usageMeter(env) {
+  return {
+    async record(operation) {
+      startDayIfNeeded();
+      pending[operation]++;
+      known[operation]++;
+      // Writes are rare and the budget depends on them, so report them straight away
+      if (operation !== 'reads' || Date.now() - known.syncedAt >= SYNC_INTERVAL) {
+        await sync(env);
+      }
+    },
+    
+    // 'ok', 'conserve' (low priority writes are skipped) or 'critical'
+    // (only critical writes go through)
+    async level() {
+      startDayIfNeeded();
+      if (Date.now() - known.syncedAt >= SYNC_INTERVAL) {
+        await sync(env);
+      }
+      return budgetLevel(env);
+    },
+    
+    async allows(priority = 'normal') {
+      const level = await this.level();
+      if (priority === 'critical' || level === 'ok') return true;
+      return level === 'conserve' && priority === 'normal';
+    },
+  };
+}
+
+// Note the outcome of a call to an upstream API ('goodreads', 'spotify', ...)
+export function recordFetch(env, source, error = null) {
+  const now = new Date().toISOString();
+  const entry = error
+    ? { lastErrorAt: now, lastError: error.message || String(error) }
+    : { lastSuccessAt: now };
+  const update = { [env.USER_HANDLE || '']: { [source]: entry } };
+  pendingHealth = mergeHealth(pendingHealth, update);
+  knownHealth = mergeHealth(knownHealth, update);
+}
+
+// Route handler for GET /status. details(env) adds worker-specific fields.
+export function statusHandler(service, details = async () => ({})) {
+  return async ({ env }) => {
+    await sync(env);
+    const budget = parseInt(env.KV_WRITE_BUDGET, 10) || DEFAULT_WRITE_BUDGET;
+    
+    let days = [{ date: known.date, reads: known.reads, writes: known.writes, deletes: known.deletes }];
+    const stub = meterStub(env);
+    if (stub) {
+      try {
+        days = (await (await stub.fetch('https://usage-meter/days')).json()).days;
+      } catch (error) {
+        log('warn', 'Failed to read KV usage history', { error: error.message });
+      }
+    }
+    
+    return jsonResponse({
+      service,
+      user: env.USER_HANDLE || null,
+      kv: {
+        date: known.date,
+        reads: known.reads,
+        writes: known.writes,
+        deletes: known.deletes,
+        writeBudget: budget,
+        writesRemaining: Math.max(0, budget - known.writes),
+        level: budgetLevel(env),
+        // Without the meter, counts only cover this isolate since it started
+        shared: !!stub,
+      },
+      days,
+      upstream: knownHealth[env.USER_HANDLE || ''] || {},
+      ...await details(env),
+    }, 200, { 'Cache-Control': 'no-store' });
+  };
+}
+
+// Durable Object holding the shared counts: one record per UTC day (the last
+// RETENTION_DAYS are kept) and the latest upstream health for every account
+export class UsageMeter {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+  }
+  
+  async fetch(request) {
+    const url = new URL(request.url);
+    
+    if (url.pathname === '/record' && request.method === 'POST') {
+      const report = await request.json();
+      const key = `day:${report.date}`;
+      const counts = await this.state.storage.get(key) || { reads: 0, writes: 0, deletes: 0 };
+      for (const operation of OPERATIONS) counts[operation] += report[operation] || 0;
+      
+      let health = await this.state.storage.get('health') || {};
+      if (Object.keys(report.health || {}).length > 0) {
+        health = mergeHealth(health, report.health);
+      }
+      
+      await this.state.storage.put({ [key]: counts, health });
+      await this.prune(report.date);
+      return Response.json({ counts, health });
+    }
+    
+    if (url.pathname === '/days') {
+      const days = await this.state.storage.list({ prefix: 'day:', reverse: true, limit: RETENTION_DAYS });
+      return Response.json({
+        days: [...days].map(([key, counts]) => ({ date: key.slice('day:'.length), ...counts })),
+      });
+    }
+    
+    return new Response('Not found', { status: 404 });
+  }
+  
+  async prune(today) {
+    const cutoff = `day:${utcDate(Date.parse(today) - RETENTION_DAYS * 86400000)}`;
+    const old = await this.state.storage.list({ prefix: 'day:', end: cutoff });
+    if (old.size > 0) {
+      await this.state.storage.delete([...old.keys()]);
+    }
+  }
+}
@@ -0,0 +1,168 @@
+// Multi-user support: every route again under /u/:handle, and scheduled jobs
+// run for each user. A user's env is the worker's env with their settings on
+// top and their own KV key prefix, so code that reads env.GOODREADS_USER_ID or
+// the KV cache works for any user unchanged.
+// Users come from USERS, a JSON object of settings by handle (a secret if it
+// holds secrets such as a SPOTIFY_REFRESH_TOKEN), e.g.
+//   { "alice": { "GOODREADS_USER_ID": "12345" },
+//     "bob": { "GOODREADS_USER_ID": "67890", "HISTORY_TIMEZONE": "Europe/Berlin" } }
+
+import { HttpError } from './http.js';
+import { log } from './log.js';
+import { createSubrequestBudget, subrequestLimit } from './subrequests.js';
+
+const HANDLE_PATTERN = /^[a-z0-9_-]{1,32}$/;
+const SETTING_PATTERN = /^[A-Z][A-Z0-9_]*$/;
+const DEFAULT_BATCH_SIZE = 5; // Users per scheduled run, for jobs that don't give their cost
+
+// Settings that belong to one account. Users never inherit these from the
+// worker's own env - a user without a GOODREADS_USER_ID has no shelves,
+// rather than someone else's.
+const PERSONAL_SETTINGS = [
+  'GOODREADS_USER_ID',
+  'GOODREADS_YEARLY_GOAL',
+  'HARDCOVER_TOKEN',
+  'OPENLIBRARY_USER',
+  'BOOKS_FILE',
+  'SPOTIFY_REFRESH_TOKEN',
+  'LASTFM_USER',
+  'LISTENBRAINZ_USER',
+  'LISTENBRAINZ_TOKEN',
+  'WEBHOOKS',
+  'FEED_TITLE',
+  'FEED_AUTHOR',
+  'FEED_SITE_URL',
+];
+const PERSONAL_SETTING_PREFIXES = ['PRIVACY_'];
+
+// USERS parsed once per isolate (and again if it changes)
+let parsedUsers = { source: undefined, users: {} };
+
+function parseUsers(source) {
+  let config;
+  try {
+    config = JSON.parse(source);
+  } catch (error) {
+    log('error', 'USERS is not valid JSON', { error: error.message });
+    return {};
+  }
+  
+  const users = {};
+  for (const [handle, settings] of Object.entries(config && typeof config === 'object' ? config : {})) {
+    if (!HANDLE_PATTERN.test(handle) || !settings || typeof settings !== 'object') {
+      log('warn', 'Skipping invalid user in USERS', { handle });
+      continue;
+    }
+    users[handle] = settings;
+  }
+  return users;
+}
+
+// Settings by handle from USERS ({} when it isn't set)
+export function getUsers(env) {
+  if (!env.USERS) return {};
+  if (parsedUsers.source !== env.USERS) {
+    parsedUsers = { source: env.USERS, users: parseUsers(env.USERS) };
+  }
+  return parsedUsers.users;
+}
+
+function isPersonal(name) {
+  return PERSONAL_SETTINGS.includes(name) ||
+    PERSONAL_SETTING_PREFIXES.some(prefix => name.startsWith(prefix));
+}
+
+// The env one user's requests and jobs run with, or null for an unknown handle.
+// Bindings (KV namespaces, queues) are shared; only string settings can be
+// overridden.
+export function getUserEnv(env, handle) {
+  const settings = getUsers(env)[handle];
+  if (!settings || env.USER_HANDLE) return null;
+  
+  const userEnv = {};
+  for (const [name, value] of Object.entries(env)) {
+    if (!isPersonal(name)) userEnv[name] = value;
+  }
+  for (const [name, value] of Object.entries(settings)) {
+    const isBinding = name in env && typeof env[name] !== 'string';
+    if (SETTING_PATTERN.test(name) && typeof value === 'string' && !isBinding) {
+      userEnv[name] = value;
+    }
+  }
+  
+  return {
+    ...userEnv,
+    USER_HANDLE: handle,
+    KV_PREFIX: `user:${handle}:`,
+  };
+}
+
+// Serve all of a router's routes under /u/:handle as well, with that user's
+// env. Call it before registering the routes, so a catch-all route can't
+// shadow the user paths.
+export function addUserRoutes(router) {
+  return router.mount('/u/:handle', router, {
+    env: (env, params) => {
+      const userEnv = getUserEnv(env, params.handle);
+      if (!userEnv) {
+        throw new HttpError(404, 'Unknown user');
+      }
+      return userEnv;
+    },
+  });
+}
+
+// Users per scheduled run: USERS_BATCH_SIZE, or as many as fit in the
+// subrequest limit next to the worker's own account when each account takes
+// about `subrequestsPerAccount`
+function batchSize(env, subrequestsPerAccount) {
+  const configured = parseInt(env.USERS_BATCH_SIZE, 10);
+  if (configured > 0) return configured;
+  if (!subrequestsPerAccount) return DEFAULT_BATCH_SIZE;
+  return Math.max(1, Math.floor(subrequestLimit(env) / subrequestsPerAccount) - 1);
+}
+
+// Wrap a scheduled job so it runs for the worker's own account and for the
+// users in USERS. Users are taken a batch at a time (see batchSize), a
+// different batch every `interval` ms, so a single run stays within the
+// subrequest and KV limits however many users there are. Accounts that
+// hasAccount(env) rejects (e.g. no Goodreads user ID) are skipped.
+// The job gets { subrequests }, its share of the invocation's subrequest
+// budget (see subrequests.js).
+export function forEachAccount(job, { interval, hasAccount = () => true, subrequestsPerAccount }) {
+  return async function runForAccounts(event, env, ctx) {
+    const accounts = [env];
+    const handles = Object.keys(getUsers(env));
+    
+    if (handles.length > 0) {
+      const size = batchSize(env, subrequestsPerAccount);
+      const batches = Math.ceil(handles.length / size);
+      const batch = Math.floor((event.scheduledTime ?? Date.now()) / interval) % batches;
+      const users = handles.slice(batch * size, (batch + 1) * size);
+      
+      log('info', 'Running scheduled job for a batch of users', {
+        job: job.name,
+        batch: batch + 1,
+        batches,
+        users,
+      });
+      accounts.push(...users.map(handle => getUserEnv(env, handle)));
+    }
+    
+    const budget = createSubrequestBudget(subrequestLimit(env));
+    for (const [index, accountEnv] of accounts.entries()) {
+      const user = accountEnv.USER_HANDLE || null;
+      const subrequests = budget.share(accounts.length - index);
+      try {
+        if (!await hasAccount(accountEnv)) {
+          log('info', 'Skipping account that is not set up for this job', { job: job.name, user });
+          continue;
+        }
+        await job(event, accountEnv, ctx, { subrequests });
+      } catch (error) {
+        // One user's failure doesn't stop the rest of the batch
+        log('error', 'Scheduled job failed for account', { job: job.name, user, error: error.message });
+      }
+    }
+  };
+}
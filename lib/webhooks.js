@@ -0,0 +1,253 @@
+// Outbound webhooks for change events ("started reading X", "now listening to Y")
+// Targets come from the WEBHOOKS secret, a JSON array such as:
+//   [{ "type": "discord", "url": "https://discord.com/api/webhooks/...", "events": ["book.*"] },
+//    { "type": "json", "url": "https://example.com/hook", "secret": "signing-key" },
+//    { "type": "mastodon", "url": "https://mastodon.social", "token": "...",
+//      "events": ["book.started"], "template": "Started reading {{title}} by {{author}}" }]
+// With a WEBHOOK_QUEUE binding, deliveries go through a Cloudflare Queue and are
+// retried with backoff. Without one, each target gets a single attempt in the
+// background (ctx.waitUntil), so a slow target never holds up a response.
+// Either way a failing webhook is only logged - it never fails the caller.
+// Covers and album art point at the worker's /image route once PUBLIC_URL is
+// set (e.g. "https://integrations.example.com"); scheduled runs have no
+// request to take the worker's URL from.
+
+import { proxyImageURL } from './images.js';
+import { log } from './log.js';
+import { getUserEnv } from './users.js';
+
+const WEBHOOK_TYPES = ['json', 'discord', 'slack', 'mastodon'];
+const DELIVERY_TIMEOUT = 10000; // Give up on a slow target after 10 seconds
+const RETRY_BASE_DELAY = 30; // Seconds; doubles with every attempt
+const RETRY_MAX_DELAY = 3600;
+
+const DEFAULT_TEMPLATES = {
+  'book.started': '📖 Started reading {{title}} by {{author}} {{url}}',
+  'book.finished': '✅ Finished reading {{title}} by {{author}} {{url}}',
+  'track.started': '🎵 Listening to {{title}} by {{artist}} {{url}}',
+};
+
+// Parsed WEBHOOKS config; invalid entries are skipped with a warning
+export function getWebhookTargets(env) {
+  if (!env.WEBHOOKS) return [];
+  
+  let targets;
+  try {
+    targets = JSON.parse(env.WEBHOOKS);
+  } catch (error) {
+    log('error', 'WEBHOOKS is not valid JSON', { error: error.message });
+    return [];
+  }
+  
+  return (Array.isArray(targets) ? targets : []).filter((target, index) => {
+    const valid = target && WEBHOOK_TYPES.includes(target.type || 'json') && /^https:\/\//.test(target.url || '');
+    if (!valid) {
+      log('warn', 'Skipping invalid webhook target', { index, type: target?.type });
+    }
+    return valid;
+  });
+}
+
+// A change event. `data` is the book or track it is about; the id is stable
+// for that change, so receivers (and feeds) can de-duplicate on it.
+export function createEvent(type, subjectId, data, occurredAt = Date.now()) {
+  return {
+    id: `${type}:${subjectId}:${occurredAt}`,
+    type,
+    occurredAt: new Date(occurredAt).toISOString(),
+    data,
+  };
+}
+
+// Events with their cover or album art proxied under `base` (see
+// proxyImageURL), or unchanged without a base
+export function withProxiedImages(events, base, hosts) {
+  if (!base) return events;
+  return events.map(event => {
+    const data = { ...event.data };
+    for (const field of ['cover', 'albumArt']) {
+      if (data[field]) data[field] = proxyImageURL(base, data[field], hosts);
+    }
+    return { ...event, data };
+  });
+}
+
+// "book.*" matches every book event; no `events` list means all events
+function targetWants(target, event) {
+  if (!Array.isArray(target.events) || target.events.length === 0) return true;
+  return target.events.some(pattern =>
+    pattern === '*' || pattern === event.type ||
+    (pattern.endsWith('.*') && event.type.startsWith(pattern.slice(0, -1)))
+  );
+}
+
+// Fill {{placeholders}} from the event data. {{url}} and {{image}} work for
+// both books (link, cover) and tracks (songUrl, albumArt).
+function renderTemplate(template, event) {
+  const values = {
+    url: event.data.link || event.data.songUrl || '',
+    image: event.data.cover || event.data.albumArt || '',
+    ...event.data,
+  };
+  return template
+    .replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => values[name] ?? '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+async function sign(secret, message) {
+  const key = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(message));
+  return [...new Uint8Array(signature)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// A target's id in queue messages and logs: a hash of its whole config entry.
+// It stays the same when other targets are added, removed or reordered, and a
+// target that was edited or removed no longer matches. Nothing secret goes on
+// the queue this way.
+async function targetId(target) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(JSON.stringify(target)));
+  return [...new Uint8Array(digest).slice(0, 8)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// The request for one target, in the format that service expects
+async function buildRequest(target, event) {
+  const text = renderTemplate(target.template || DEFAULT_TEMPLATES[event.type] || '{{title}}', event);
+  const headers = { 'Content-Type': 'application/json' };
+  let url = target.url;
+  let body;
+  
+  switch (target.type || 'json') {
+    case 'discord':
+      body = { content: text };
+      break;
+    case 'slack':
+      body = { text };
+      break;
+    case 'mastodon':
+      url = `${target.url.replace(/\/+$/, '')}/api/v1/statuses`;
+      headers['Authorization'] = `Bearer ${target.token}`;
+      headers['Idempotency-Key'] = event.id; // Retries never post twice
+      body = { status: text, visibility: target.visibility || 'public' };
+      break;
+    default:
+      body = { ...event, text };
+  }
+  
+  const payload = JSON.stringify(body);
+  if (target.secret) {
+    // Receivers recompute HMAC-SHA256(secret, "<timestamp>.<body>") to verify
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    headers['X-Webhook-Timestamp'] = timestamp;
+    headers['X-Webhook-Signature'] = `sha256=${await sign(target.secret, `${timestamp}.${payload}`)}`;
+  }
+  
+  return new Request(url, { method: 'POST', headers, body: payload });
+}
+
+// Deliver one event to one target, throwing if the target didn't accept it
+async function deliver(target, event) {
+  const response = await fetch(await buildRequest(target, event), {
+    signal: AbortSignal.timeout(DELIVERY_TIMEOUT),
+  });
+  if (!response.ok) {
+    throw new Error(`Webhook returned ${response.status}`);
+  }
+}
+
+// Send events to every target that wants them. Never throws. Without a queue,
+// pass ctx so delivery happens after the response; it is awaited only without one.
+// Images on `imageHosts` are proxied through PUBLIC_URL when it is set.
+export async function dispatchEvents(env, events, { ctx, imageHosts = [] } = {}) {
+  const targets = getWebhookTargets(env);
+  if (targets.length === 0 || events.length === 0) return;
+  
+  const publicURL = env.PUBLIC_URL?.replace(/\/+$/, '');
+  const payloads = withProxiedImages(events, publicURL, imageHosts);
+  const deliveries = [];
+  for (const target of targets) {
+    const id = await targetId(target);
+    for (const event of payloads) {
+      if (targetWants(target, event)) deliveries.push({ id, target, event });
+    }
+  }
+  if (deliveries.length === 0) return;
+  
+  if (env.WEBHOOK_QUEUE) {
+    try {
+      // Only the target's id (and whose WEBHOOKS it is in) goes on the
+      // queue - its URL and secrets stay in the config
+      await env.WEBHOOK_QUEUE.sendBatch(deliveries.map(({ id, event }) => ({
+        body: { target: id, user: env.USER_HANDLE, event },
+      })));
+      log('info', 'Queued webhook deliveries', { count: deliveries.length });
+      return;
+    } catch (error) {
+      log('error', 'Failed to queue webhooks, delivering directly', { error: error.message });
+    }
+  }
+  
+  const delivering = deliverAll(deliveries);
+  if (ctx) {
+    ctx.waitUntil(delivering);
+  } else {
+    await delivering;
+  }
+}
+
+// One attempt per delivery, one after another, only logging failures
+async function deliverAll(deliveries) {
+  for (const { id, target, event } of deliveries) {
+    try {
+      await deliver(target, event);
+      log('info', 'Delivered webhook', { target: id, type: target.type || 'json', event: event.type });
+    } catch (error) {
+      log('error', 'Webhook delivery failed', { target: id, event: event.type, error: error.message });
+    }
+  }
+}
+
+// The configured target with this id, if it is still there unchanged
+async function findTarget(env, id) {
+  for (const target of getWebhookTargets(env)) {
+    if (await targetId(target) === id) return target;
+  }
+  return null;
+}
+
+// Queue consumer: deliver each message, retrying failures with exponential backoff
+// until the queue's max_retries is used up
+export async function handleWebhookQueue(batch, env) {
+  for (const message of batch.messages) {
+    const { target: id, user, event } = message.body;
+    const targetEnv = user ? getUserEnv(env, user) : env;
+    const target = targetEnv && await findTarget(targetEnv, id);
+    if (!target) {
+      log('warn', 'Dropping webhook for a target that no longer exists', { target: id, user });
+      message.ack();
+      continue;
+    }
+    
+    try {
+      await deliver(target, event);
+      log('info', 'Delivered webhook', { target: id, type: target.type || 'json', event: event.type });
+      message.ack();
+    } catch (error) {
+      const delaySeconds = Math.min(RETRY_BASE_DELAY * 2 ** (message.attempts - 1), RETRY_MAX_DELAY);
+      log('warn', 'Webhook delivery failed, will retry', {
+        target: id,
+        event: event.type,
+        attempt: message.attempts,
+        delaySeconds,
+        error: error.message,
+      });
+      message.retry({ delaySeconds });
+    }
+  }
+}
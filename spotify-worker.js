@@ -1,49 +1,185 @@
 
 
 // Spotify Now Playing Worker
-// Fetches currently playing track and caches in KV
+// Fetches the currently playing track (from Spotify, Last.fm or ListenBrainz) and caches in KV
 
-const CORS_HEADERS = {
-  'Access-Control-Allow-Origin': '*',
-  'Access-Control-Allow-Methods': 'GET, OPTIONS',
-  'Access-Control-Allow-Headers': 'Content-Type',
-  'Content-Type': 'application/json',
-};
+import { getAccessConfig, keysMatch } from './lib/access.js';
+import { cardResponse, escapeXML, fetchImageDataURI, getCardOptions, renderCardHTML, renderCardSVG } from './lib/cards.js';
+import { addFeedRoutes } from './lib/feed.js';
+import { HttpError, cacheHeaders, jsonResponse } from './lib/http.js';
+import { getPalette, imageHandler, proxyImageURL } from './lib/images.js';
+import { createKVStore } from './lib/kv.js';
+import { LASTFM_IMAGE_HOSTS, createLastFmProvider } from './lib/lastfm.js';
+import { LISTENBRAINZ_IMAGE_HOSTS, createListenBrainzProvider } from './lib/listenbrainz.js';
+import { log } from './lib/log.js';
+import { getLatestTrack, hasMusicAccount } from './lib/music.js';
+import { authCookie, createPKCE, getCookie, randomToken } from './lib/oauth.js';
+import { adminResponse, getOverride, putOverride, readOverrideRequest } from './lib/overrides.js';
+import { Router, createFetchHandler, createScheduledHandler } from './lib/router.js';
+import { createUpstream, refreshInBackground } from './lib/upstream.js';
+import { recordFetch, statusHandler, usageMeter } from './lib/usage.js';
+import { addUserRoutes, forEachAccount } from './lib/users.js';
+import { createEvent, dispatchEvents, handleWebhookQueue, withProxiedImages } from './lib/webhooks.js';
+
+// Durable Object classes must be exported from the entry module
+export { NowPlayingStream } from './lib/now-playing-stream.js';
+export { UsageMeter } from './lib/usage.js';
 
 const TOKEN_ENDPOINT = 'https://accounts.spotify.com/api/token';
+const AUTHORIZE_ENDPOINT = 'https://accounts.spotify.com/authorize';
+// Everything the worker reads. Visit /auth/login again after changing this.
+const SPOTIFY_SCOPES = 'user-read-currently-playing user-read-recently-played user-top-read';
+const AUTH_COOKIE = 'spotify_auth';
+const AUTH_COOKIE_TTL = 600; // 10 minutes to finish signing in on Spotify
+// Wrong admin keys at /auth/login before sign-in locks, from any address
+const LOGIN_FAILURES_KV_KEY = 'login_failures';
+const LOGIN_MAX_FAILURES = 5;
+const LOGIN_LOCKOUT = 3600; // Seconds; also how long failures are counted
 // Must include additional_types=episode to get podcast episodes
 const NOW_PLAYING_ENDPOINT = 'https://api.spotify.com/v1/me/player/currently-playing?additional_types=episode';
 const RECENTLY_PLAYED_ENDPOINT = 'https://api.spotify.com/v1/me/player/recently-played?limit=1';
+const TOP_ENDPOINT = 'https://api.spotify.com/v1/me/top'; // + /tracks or /artists
 const KV_KEY = 'current_track';
+const TOKEN_KV_KEY = 'access_token';
+const REFRESH_TOKEN_KV_KEY = 'refresh_token';
+const TOKEN_REFRESH_MARGIN = 300000; // Refresh 5 minutes before the token expires
 const KV_TTL = 300; // 300 seconds expiration
 const SCHEDULE_INTERVAL = 120000; // 120 seconds (2 minutes) to match cron interval
 const FETCH_CACHE_TTL = 30000; // 30 seconds cache for fetch handler
+const EDGE_CACHE_TTL = FETCH_CACHE_TTL / 1000; // Edge (Cache API) copy of KV reads, in seconds
+const SPOTIFY_GREEN = '#1db954';
+// Album art hosts, served through /image/:id
+const IMAGE_HOSTS = ['scdn.co', 'spotifycdn.com', ...LASTFM_IMAGE_HOSTS, ...LISTENBRAINZ_IMAGE_HOSTS];
+
+// Top tracks/artists change slowly - cache for hours and refresh on their own cron
+const TOP_TYPES = ['tracks', 'artists'];
+const TOP_TIME_RANGES = ['short_term', 'medium_term', 'long_term'];
+const TOP_ITEMS_LIMIT = 50; // Spotify's maximum page size
+const TOP_DEFAULT_LIMIT = 20;
+const TOP_CACHE_TTL = 6 * 3600000; // 6 hours
+const TOP_REFRESH_CRON = '0 */6 * * *'; // Must also be listed in wrangler crons
+
+// Subrequests one account's scheduled refresh can take, which sets how many
+// users share a run: a token refresh, now playing and recently played, a
+// scrobbler fallback, the cover palette (Cache API lookup, image, store) and
+// the /stream update; for top lists a token refresh and one call per list
+const NOW_PLAYING_SUBREQUESTS = 8;
+const TOP_REFRESH_SUBREQUESTS = 1 + TOP_TYPES.length * TOP_TIME_RANGES.length;
+
+// Listening history: plays are buffered under their own key, which only the
+// scheduled handler writes, and flushed to one KV key per day in batches
+const HISTORY_KEY_PREFIX = 'history:';
+const HISTORY_BUFFER_KEY = 'history:buffer';
+const HISTORY_FLUSH_SIZE = 10; // Flush once this many plays are buffered
+const HISTORY_RETENTION_DAYS = 400;
+const HISTORY_PAGE_LIMIT = 50;
+const HISTORY_MAX_PAGE_LIMIT = 200;
+const HISTORY_MAX_SUMMARY_DAYS = 31;
+const TOP_ARTISTS_LIMIT = 5;
+
+// Tracks hidden through /admin/track/hide, and how long one stays hidden
+// unless the request says otherwise
+const HIDDEN_TRACKS_KEY = 'override:hidden_tracks';
+const HIDDEN_TRACK_TTL = 86400;
+
+// KV cache for this worker (and this user's keys, under /u/:handle)
+function cache(env) {
+  return createKVStore(env.MY_KV_NAMESPACE, 'spotify', {
+    prefix: env.KV_PREFIX,
+    meter: usageMeter(env),
+  });
+}
+
+// KV keys shared by every user: the circuit breakers
+function sharedCache(env) {
+  return createKVStore(env.MY_KV_NAMESPACE, 'spotify', { meter: usageMeter(env) });
+}
 
-// Helper function for structured logging
-function log(level, message, data = {}) {
-  const logEntry = {
-    timestamp: new Date().toISOString(),
-    level,
-    message,
-    ...data,
+// Calls to the Spotify API (or, with source 'spotify-token', its token
+// endpoint) share one circuit breaker, whichever user they are for
+function spotify(env, source = 'spotify') {
+  return createUpstream(sharedCache(env), source, { label: 'Spotify' });
+}
+
+// The music providers an account can use, by name (see lib/music.js).
+// MUSIC_PROVIDERS picks from these, in priority order.
+function availableProviders(env) {
+  return {
+    spotify: {
+      name: 'spotify',
+      hasAccount: () => hasSpotifyAccount(env),
+      getNowPlaying: () => getNowPlaying(env),
+      getRecentlyPlayed: () => getRecentlyPlayed(env),
+    },
+    lastfm: createLastFmProvider(env, sharedCache(env)),
+    listenbrainz: createListenBrainzProvider(env, sharedCache(env)),
   };
-  
-  if (level === 'error') {
-    console.error(JSON.stringify(logEntry));
-  } else if (level === 'warn') {
-    console.warn(JSON.stringify(logEntry));
-  } else {
-    console.log(JSON.stringify(logEntry));
+}
+
+// Per account, for the lifetime of this isolate: the access token
+// ({ accessToken, expiresAt }) and any in-flight refresh, so concurrent
+// requests share one token exchange
+const tokenStates = new Map();
+
+function tokenState(env) {
+  const account = env.KV_PREFIX || '';
+  if (!tokenStates.has(account)) {
+    tokenStates.set(account, { token: null, refreshing: null });
+  }
+  return tokenStates.get(account);
+}
+
+function tokenIsFresh(token) {
+  return !!token?.accessToken && token.expiresAt - TOKEN_REFRESH_MARGIN > Date.now();
+}
+
+// Short digest of the configured refresh token, used to tell whether a
+// rotated token in KV belongs to the current secret or an older one
+async function tokenFingerprint(token) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token || ''));
+  return [...new Uint8Array(digest).slice(0, 8)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// The refresh token from signing in at /auth/login, or one Spotify rotated,
+// is kept in KV and preferred over the SPOTIFY_REFRESH_TOKEN secret, unless
+// the secret has since been replaced.
+async function getRefreshToken(env) {
+  const stored = await cache(env).get(REFRESH_TOKEN_KV_KEY);
+  if (stored?.refreshToken && stored.secretFingerprint === await tokenFingerprint(env.SPOTIFY_REFRESH_TOKEN)) {
+    return stored.refreshToken;
+  }
+  if (!env.SPOTIFY_REFRESH_TOKEN) {
+    throw new HttpError(404, 'No Spotify account connected, sign in at /auth/login');
   }
+  return env.SPOTIFY_REFRESH_TOKEN;
+}
+
+// Keep a token response's access token in memory and share it with other
+// isolates until it expires (1 write, skipped first when the KV write budget
+// runs low - each isolate then refreshes its own token)
+async function cacheAccessToken(env, data) {
+  const expiresIn = data.expires_in || 3600;
+  const state = tokenState(env);
+  state.token = {
+    accessToken: data.access_token,
+    expiresAt: Date.now() + expiresIn * 1000,
+  };
+  
+  await cache(env).put(TOKEN_KV_KEY, state.token, {
+    expirationTtl: Math.max(60, expiresIn),
+    priority: 'low',
+  });
+  return expiresIn;
 }
 
-// Get access token using refresh token
-async function getAccessToken(env) {
+// Exchange the refresh token for a new access token and cache it
+async function refreshAccessToken(env) {
   log('info', 'Fetching Spotify access token');
   
   const basic = btoa(`${env.SPOTIFY_CLIENT_ID}:${env.SPOTIFY_CLIENT_SECRET}`);
+  const refreshToken = await getRefreshToken(env);
   
-  const response = await fetch(TOKEN_ENDPOINT, {
+  const response = await spotify(env, 'spotify-token').fetch(TOKEN_ENDPOINT, {
     method: 'POST',
     headers: {
       'Authorization': `Basic ${basic}`,
@@ -51,29 +187,293 @@ async function getAccessToken(env) {
     },
     body: new URLSearchParams({
       grant_type: 'refresh_token',
-      refresh_token: env.SPOTIFY_REFRESH_TOKEN,
+      refresh_token: refreshToken,
     }),
   });
   
   if (!response.ok) {
     log('error', 'Failed to get access token', { status: response.status });
-    throw new Error(`Failed to get access token: ${response.status}`);
+    const error = new Error(`Failed to get access token: ${response.status}`);
+    recordFetch(env, 'spotify-token', error);
+    throw error;
+  }
+  
+  recordFetch(env, 'spotify-token');
+  const data = await response.json();
+  const expiresIn = await cacheAccessToken(env, data);
+  
+  // The old token may stop working once Spotify has rotated it, so this write
+  // goes through whatever the budget
+  if (data.refresh_token && data.refresh_token !== refreshToken) {
+    await cache(env).put(REFRESH_TOKEN_KV_KEY, {
+      refreshToken: data.refresh_token,
+      secretFingerprint: await tokenFingerprint(env.SPOTIFY_REFRESH_TOKEN),
+      rotatedAt: Date.now(),
+    }, { priority: 'critical' });
+    log('info', 'Spotify rotated the refresh token, stored new token in KV');
   }
   
-  log('info', 'Successfully obtained access token');
-  return response.json();
+  log('info', 'Successfully obtained access token', { expiresIn });
+  return tokenState(env).token;
 }
 
-// Fetch currently playing track
-async function getNowPlaying(accessToken) {
-  log('info', 'Fetching currently playing track from Spotify API');
+// Get an access token, reusing the cached one (memory, then KV) until
+// shortly before it expires. Pass forceRefresh after a 401.
+async function getAccessToken(env, { forceRefresh = false } = {}) {
+  const state = tokenState(env);
+  if (!forceRefresh) {
+    if (tokenIsFresh(state.token)) {
+      return { access_token: state.token.accessToken };
+    }
+    
+    const stored = await cache(env).get(TOKEN_KV_KEY);
+    if (tokenIsFresh(stored)) {
+      log('info', 'Using access token cached in KV', {
+        expiresInMs: stored.expiresAt - Date.now(),
+      });
+      state.token = stored;
+      return { access_token: stored.accessToken };
+    }
+  }
   
-  const response = await fetch(NOW_PLAYING_ENDPOINT, {
+  if (!state.refreshing) {
+    state.refreshing = refreshAccessToken(env).finally(() => {
+      state.refreshing = null;
+    });
+  }
+  
+  const token = await state.refreshing;
+  return { access_token: token.accessToken };
+}
+
+// GET a Spotify API endpoint, retrying once with a fresh token on 401. Rate
+// limits and server errors are retried as well (see lib/upstream.js).
+async function spotifyFetch(env, url) {
+  const api = spotify(env);
+  let { access_token } = await getAccessToken(env);
+  let response = await api.fetch(url, {
     headers: {
-      'Authorization': `Bearer ${accessToken}`,
+      'Authorization': `Bearer ${access_token}`,
     },
   });
   
+  if (response.status === 401) {
+    log('warn', 'Spotify rejected access token, retrying with a fresh token', { url });
+    ({ access_token } = await getAccessToken(env, { forceRefresh: true }));
+    response = await api.fetch(url, {
+      headers: {
+        'Authorization': `Bearer ${access_token}`,
+      },
+    });
+  }
+  
+  recordFetch(env, 'spotify', response.ok ? null : new Error(`Spotify API returned ${response.status}`));
+  return response;
+}
+
+// Minimal, never-cached HTML page for the sign-in routes
+function authPage(title, body, status = 200, headers = {}) {
+  const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeXML(title)}</title>
+<style>body { font-family: system-ui, sans-serif; max-width: 32rem; margin: 4rem auto; padding: 0 1rem; } input, button { font: inherit; padding: 0.4rem; }</style>
+</head>
+<body>
+<h1>${escapeXML(title)}</h1>
+${body}
+</body>
+</html>`;
+  
+  return new Response(html, {
+    status,
+    headers: {
+      'Content-Type': 'text/html; charset=utf-8',
+      'Cache-Control': 'no-store',
+      'X-Frame-Options': 'DENY',
+      'Referrer-Policy': 'no-referrer', // The callback URL carries the authorization code
+      ...headers,
+    },
+  });
+}
+
+function loginForm(error) {
+  return `${error ? `<p><strong>${escapeXML(error)}</strong></p>\n` : ''}<form method="post">
+<p><label>Admin key <input type="password" name="key" autocomplete="current-password" required autofocus></label></p>
+<p><button type="submit">Continue to Spotify</button></p>
+</form>`;
+}
+
+// Seconds until sign-in unlocks, or 0, given the stored failed attempts.
+// They're counted per account in KV rather than per client, so guesses spread
+// over many addresses still lock it.
+function loginLockout(failures) {
+  return Math.max(0, Math.ceil(((failures?.lockedUntil || 0) - Date.now()) / 1000));
+}
+
+// Count a wrong admin key, locking sign-in once there have been too many.
+// Written as critical so the write budget can't lift the lockout.
+async function recordLoginFailure(env, failures) {
+  const count = (failures?.count || 0) + 1;
+  const lockedUntil = count >= LOGIN_MAX_FAILURES ? Date.now() + LOGIN_LOCKOUT * 1000 : null;
+  await cache(env).put(LOGIN_FAILURES_KV_KEY, { count, lockedUntil }, {
+    expirationTtl: LOGIN_LOCKOUT,
+    priority: 'critical',
+  });
+  return lockedUntil ? LOGIN_LOCKOUT : 0;
+}
+
+// The callback URL registered with the Spotify app. Defaults to the callback
+// next to the login route, e.g. https://spotify-api.example.workers.dev/auth/callback
+function redirectUri(env, authUrl) {
+  return env.SPOTIFY_REDIRECT_URI || `${authUrl}/callback`;
+}
+
+// GET /auth/login asks for one of the ADMIN_KEYS, the same keys the admin
+// routes take. Posting one sends the browser to Spotify, with the PKCE
+// verifier and state in a short-lived cookie. After LOGIN_MAX_FAILURES wrong
+// keys, sign-in is locked for LOGIN_LOCKOUT seconds.
+async function handleAuthLogin({ request, env, url }) {
+  const { adminKeys } = getAccessConfig(env);
+  if (adminKeys.length === 0) {
+    throw new HttpError(501, 'Sign-in is not configured (missing ADMIN_KEYS secret)');
+  }
+  
+  const locked = (retryAfter) => authPage(
+    'Connect Spotify',
+    '<p>Too many wrong admin keys. Try again later.</p>',
+    429,
+    { 'Retry-After': String(retryAfter) }
+  );
+  
+  const failures = await cache(env).get(LOGIN_FAILURES_KV_KEY);
+  const lockout = loginLockout(failures);
+  if (lockout) {
+    return locked(lockout);
+  }
+  
+  if (request.method !== 'POST') {
+    return authPage('Connect Spotify', loginForm());
+  }
+  
+  const form = await request.formData();
+  const key = String(form.get('key') || '');
+  let valid = false;
+  for (const adminKey of adminKeys) {
+    if (await keysMatch(key, adminKey)) valid = true;
+  }
+  if (!valid) {
+    const retryAfter = await recordLoginFailure(env, failures);
+    log('warn', 'Rejected Spotify sign-in with a wrong admin key', {
+      ip: request.headers.get('CF-Connecting-IP'),
+      locked: retryAfter > 0,
+    });
+    return retryAfter ? locked(retryAfter) : authPage('Connect Spotify', loginForm('Wrong admin key'), 401);
+  }
+  if (failures) {
+    await cache(env).delete(LOGIN_FAILURES_KV_KEY);
+  }
+  
+  const authUrl = url.origin + url.pathname.replace(/\/login\/*$/, '');
+  const state = randomToken();
+  const { verifier, challenge } = await createPKCE();
+  
+  const authorizeUrl = `${AUTHORIZE_ENDPOINT}?` + new URLSearchParams({
+    response_type: 'code',
+    client_id: env.SPOTIFY_CLIENT_ID,
+    scope: SPOTIFY_SCOPES,
+    redirect_uri: redirectUri(env, authUrl),
+    state,
+    code_challenge_method: 'S256',
+    code_challenge: challenge,
+    show_dialog: 'true', // Ask again even if already authorized, so new scopes are granted
+  });
+  
+  log('info', 'Redirecting to Spotify for sign-in');
+  return new Response(null, {
+    status: 302,
+    headers: {
+      'Location': authorizeUrl,
+      'Set-Cookie': authCookie(AUTH_COOKIE, `${state}.${verifier}`, {
+        path: new URL(authUrl).pathname,
+        maxAge: AUTH_COOKIE_TTL,
+      }),
+      'Cache-Control': 'no-store',
+    },
+  });
+}
+
+// GET /auth/callback - Spotify sends the browser back here with a code, which
+// is exchanged for tokens. The refresh token is stored in KV and used from then on.
+async function handleAuthCallback({ request, env, url }) {
+  const authUrl = url.origin + url.pathname.replace(/\/callback\/*$/, '');
+  const clearCookie = {
+    'Set-Cookie': authCookie(AUTH_COOKIE, '', { path: new URL(authUrl).pathname, maxAge: 0 }),
+  };
+  const failed = (message, status = 400) =>
+    authPage('Sign-in failed', `<p>${escapeXML(message)}</p>\n<p><a href="login">Try again</a></p>`, status, clearCookie);
+  
+  // Only the browser that passed the admin check holds the state cookie
+  const [state, verifier] = (getCookie(request, AUTH_COOKIE) || '').split('.');
+  if (!state || !verifier || url.searchParams.get('state') !== state) {
+    log('warn', 'Spotify sign-in callback with missing or mismatched state');
+    return failed('This sign-in has expired or was started in another browser.');
+  }
+  
+  const error = url.searchParams.get('error');
+  const code = url.searchParams.get('code');
+  if (error || !code) {
+    log('warn', 'Spotify sign-in was not authorized', { error });
+    return failed(`Spotify did not authorize the app (${error || 'no code'}).`);
+  }
+  
+  const basic = btoa(`${env.SPOTIFY_CLIENT_ID}:${env.SPOTIFY_CLIENT_SECRET}`);
+  const response = await fetch(TOKEN_ENDPOINT, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Basic ${basic}`,
+      'Content-Type': 'application/x-www-form-urlencoded',
+    },
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: redirectUri(env, authUrl),
+      code_verifier: verifier,
+    }),
+  });
+  
+  if (!response.ok) {
+    log('error', 'Failed to exchange Spotify authorization code', { status: response.status });
+    return failed(`Spotify rejected the authorization code (${response.status}).`, 502);
+  }
+  
+  const data = await response.json();
+  await cache(env).put(REFRESH_TOKEN_KV_KEY, {
+    refreshToken: data.refresh_token,
+    secretFingerprint: await tokenFingerprint(env.SPOTIFY_REFRESH_TOKEN),
+    scope: data.scope || SPOTIFY_SCOPES,
+    authorizedAt: Date.now(),
+  }, { priority: 'critical' });
+  // The new access token carries the newly granted scopes, so use it right away
+  await cacheAccessToken(env, data);
+  
+  log('info', 'Stored Spotify refresh token from sign-in', { scope: data.scope });
+  return authPage(
+    'Spotify connected',
+    `<p>The worker is now using your Spotify account. Granted scopes: ${escapeXML(data.scope || SPOTIFY_SCOPES)}.</p>`,
+    200,
+    clearCookie
+  );
+}
+
+// Fetch currently playing track
+async function getNowPlaying(env) {
+  log('info', 'Fetching currently playing track from Spotify API');
+  
+  const response = await spotifyFetch(env, NOW_PLAYING_ENDPOINT);
+  
   if (response.status === 204) {
     log('info', 'No track currently playing (204)');
     return null; // Nothing playing
@@ -142,7 +542,7 @@ async function getNowPlaying(accessToken) {
   });
   
   // Handle both music tracks and podcast episodes
-  let artist, album, albumArt;
+  let artist, album, albumArt, images;
   
   if (isEpisode) {
     // Podcast episode structure
@@ -155,6 +555,7 @@ async function getNowPlaying(accessToken) {
                  ? item.show.images[item.show.images.length - 1]?.url 
                  : '') || 
                '';
+    images = item.images?.length ? item.images : item.show?.images;
   } else {
     // Music track structure
     artist = item.artists && item.artists.length > 0
@@ -162,6 +563,7 @@ async function getNowPlaying(accessToken) {
       : 'Unknown Artist';
     album = item.album?.name || 'Unknown Album';
     albumArt = item.album?.images?.[0]?.url || '';
+    images = item.album?.images;
   }
   
   const track = {
@@ -173,6 +575,17 @@ async function getNowPlaying(accessToken) {
     songUrl: item.external_urls?.spotify || '',
     trackId: item.id, // For comparison
     type: currentlyPlayingType || 'track', // 'track' or 'episode'
+    durationMs: item.duration_ms ?? null,
+    // progress_ms can be missing for episodes - fall back to the saved resume point
+    progressMs: data.progress_ms ?? item.resume_point?.resume_position_ms ?? null,
+    fetchedAt: Date.now(), // When progressMs was measured, for extrapolation
+    // Used by the privacy rules
+    explicit: !!item.explicit,
+    artistIds: isEpisode ? [] : (item.artists || []).map(a => a.id).filter(Boolean),
+    showId: item.show?.id || null,
+    contextUri: data.context?.uri || null, // The playlist or album it's playing from
+    provider: 'spotify',
+    palette: await getPalette(paletteImage(images)),
   };
   
   log('info', 'Successfully fetched currently playing item', {
@@ -187,14 +600,10 @@ async function getNowPlaying(accessToken) {
 }
 
 // Fetch recently played track
-async function getRecentlyPlayed(accessToken) {
+async function getRecentlyPlayed(env) {
   log('info', 'Fetching recently played track from Spotify API');
   
-  const response = await fetch(RECENTLY_PLAYED_ENDPOINT, {
-    headers: {
-      'Authorization': `Bearer ${accessToken}`,
-    },
-  });
+  const response = await spotifyFetch(env, RECENTLY_PLAYED_ENDPOINT);
   
   if (response.status !== 200) {
     log('error', 'Failed to fetch recently played', { status: response.status });
@@ -226,6 +635,18 @@ async function getRecentlyPlayed(accessToken) {
     songUrl: item.external_urls?.spotify || '',
     trackId: item.id, // For comparison
     type: item.type || (isEpisode ? 'episode' : 'track'),
+    durationMs: item.duration_ms ?? null,
+    // Finished tracks have no position; episodes remember where you stopped
+    progressMs: isEpisode ? (item.resume_point?.resume_position_ms ?? null) : null,
+    fetchedAt: Date.now(),
+    explicit: !!item.explicit,
+    artistIds: isEpisode ? [] : (item.artists || []).map(a => a.id).filter(Boolean),
+    showId: item.show?.id || null,
+    contextUri: data.items[0].context?.uri || null,
+    provider: 'spotify',
+    palette: await getPalette(paletteImage(isEpisode
+      ? (item.images?.length ? item.images : item.show?.images)
+      : item.album?.images)),
   };
   
   log('info', 'Successfully fetched recently played item', {
@@ -238,6 +659,336 @@ async function getRecentlyPlayed(accessToken) {
   return trackData;
 }
 
+// Spotify lists images widest first (640, 300 and 64px). The 300px one has
+// plenty of detail for a palette and is quick to decode.
+function paletteImage(images = []) {
+  return images.find(image => image.width && image.width <= 300)?.url || images.at(-1)?.url || null;
+}
+
+// Album art as served by this worker (/image/:id) rather than Spotify's CDN
+function withProxiedArt(item, base) {
+  return item?.albumArt ? { ...item, albumArt: proxyImageURL(base, item.albumArt, IMAGE_HOSTS) } : item;
+}
+
+// Normalize a top track into the same shape as the now-playing track
+function normalizeTopTrack(item, rank) {
+  return {
+    isPlaying: false,
+    title: item.name || 'Unknown Title',
+    artist: item.artists && item.artists.length > 0
+      ? item.artists.map(a => a.name).join(', ')
+      : 'Unknown Artist',
+    album: item.album?.name || 'Unknown Album',
+    albumArt: item.album?.images?.[0]?.url || '',
+    songUrl: item.external_urls?.spotify || '',
+    trackId: item.id,
+    type: 'track',
+    durationMs: item.duration_ms ?? null,
+    progressMs: null,
+    explicit: !!item.explicit,
+    artistIds: (item.artists || []).map(a => a.id).filter(Boolean),
+    rank,
+  };
+}
+
+// Artists reuse the track shape: the artist is both title and artist, and
+// their profile image stands in for album art
+function normalizeTopArtist(item, rank) {
+  return {
+    isPlaying: false,
+    title: item.name || 'Unknown Artist',
+    artist: item.name || 'Unknown Artist',
+    album: '',
+    albumArt: item.images?.[0]?.url || '',
+    songUrl: item.external_urls?.spotify || '',
+    trackId: item.id,
+    type: 'artist',
+    durationMs: null,
+    progressMs: null,
+    genres: item.genres || [],
+    artistIds: [item.id],
+    rank,
+  };
+}
+
+function topCacheKey(type, timeRange) {
+  return `top:${type}:${timeRange}`;
+}
+
+// Fetch top tracks or artists for a time range (needs the user-top-read scope)
+async function getTopItems(env, type, timeRange) {
+  log('info', 'Fetching top items from Spotify API', { type, timeRange });
+  
+  const url = `${TOP_ENDPOINT}/${type}?` + new URLSearchParams({
+    time_range: timeRange,
+    limit: String(TOP_ITEMS_LIMIT),
+  });
+  const response = await spotifyFetch(env, url);
+  
+  if (response.status === 403) {
+    log('error', 'Spotify refused top items - is the user-top-read scope granted?', { type });
+    throw new Error('Missing user-top-read scope, sign in again at /auth/login');
+  }
+  
+  if (response.status !== 200) {
+    log('error', 'Spotify API error when fetching top items', { type, timeRange, status: response.status });
+    throw new Error(`Spotify API error: ${response.status}`);
+  }
+  
+  const data = await response.json();
+  const normalize = type === 'tracks' ? normalizeTopTrack : normalizeTopArtist;
+  return (data.items || []).map((item, index) => normalize(item, index + 1));
+}
+
+// Fetch and cache one top list (one KV write)
+async function refreshTopItems(env, type, timeRange) {
+  const cacheData = {
+    data: await getTopItems(env, type, timeRange),
+    timestamp: Date.now(),
+  };
+  
+  // Top lists change slowly, so they're the first writes to go when the budget runs low
+  await cache(env).put(topCacheKey(type, timeRange), cacheData, { priority: 'low' });
+  
+  log('info', 'Cached top items', { type, timeRange, count: cacheData.data.length });
+  return cacheData;
+}
+
+// Refresh every top list - run from the TOP_REFRESH_CRON trigger
+async function refreshAllTopItems(event, env) {
+  for (const type of TOP_TYPES) {
+    for (const timeRange of TOP_TIME_RANGES) {
+      try {
+        await refreshTopItems(env, type, timeRange);
+      } catch (error) {
+        // Keep the previous list - it's still a reasonable answer
+        log('error', 'Failed to refresh top items', { type, timeRange, error: error.message });
+      }
+    }
+  }
+}
+
+// GET /top/tracks or /top/artists?time_range=short_term|medium_term|long_term&limit=
+async function handleTop({ params, url, env, base }) {
+  const { type } = params;
+  if (!TOP_TYPES.includes(type)) {
+    throw new HttpError(404, 'Not found');
+  }
+  
+  const timeRange = url.searchParams.get('time_range') || 'medium_term';
+  if (!TOP_TIME_RANGES.includes(timeRange)) {
+    throw new HttpError(400, `Invalid time_range, expected one of ${TOP_TIME_RANGES.join(', ')}`);
+  }
+  
+  const limit = Math.min(
+    Math.max(parseInt(url.searchParams.get('limit'), 10) || TOP_DEFAULT_LIMIT, 1),
+    TOP_ITEMS_LIMIT
+  );
+  
+  let cached = await cache(env).get(topCacheKey(type, timeRange));
+  if (!cached?.timestamp || Date.now() - cached.timestamp >= TOP_CACHE_TTL) {
+    log('info', 'Top items cache expired or missing, fetching fresh data', { type, timeRange });
+    try {
+      cached = await refreshTopItems(env, type, timeRange);
+    } catch (error) {
+      // Serve the stale list if we have one
+      if (!cached?.data) throw error;
+      log('warn', 'Top items refresh failed, returning stale cache', { type, timeRange, error: error.message });
+    }
+  }
+  
+  // Cacheable until the list is due for its next refresh
+  const maxAge = Math.max(0, Math.round((cached.timestamp + TOP_CACHE_TTL - Date.now()) / 1000));
+  const rules = await getPrivacyRules(env);
+  return jsonResponse({
+    type,
+    timeRange,
+    items: cached.data
+      .filter(item => isTrackAllowed(rules, item))
+      .slice(0, limit)
+      .map(item => withProxiedArt(item, base)),
+    updatedAt: new Date(cached.timestamp).toISOString(),
+  }, 200, cacheHeaders(maxAge, { lastModified: cached.timestamp }));
+}
+
+// Current (or last played) track as { data, timestamp }, where timestamp is
+// when the track last changed. Served from KV for FETCH_CACHE_TTL and
+// refreshed from Spotify after that - in the background when there is a ctx
+// and something cached to serve meanwhile. Writes to KV only when the track
+// changed. The data is what the privacy rules allow to be published.
+async function getCurrentTrack(env, { ctx } = {}) {
+  const rules = await getPrivacyRules(env);
+  const isFresh = (entry) => entry?.timestamp && Date.now() - entry.timestamp < FETCH_CACHE_TTL;
+  
+  // Check cache first (cache for 30 seconds) - the edge copy, then KV itself,
+  // which the scheduled handler may have updated since the edge copy was taken
+  let cached = await cache(env).get(KV_KEY, { cacheTtl: EDGE_CACHE_TTL });
+  if (!isFresh(cached)) {
+    cached = await cache(env).get(KV_KEY);
+  }
+  
+  if (isFresh(cached)) {
+    const age = Date.now() - cached.timestamp;
+    log('info', 'Returning cached track data', {
+      ageMs: age,
+      trackId: cached.data?.trackId,
+    });
+    return { data: withCurrentProgress(await publishedTrack(env, rules, cached)), timestamp: cached.timestamp };
+  }
+  
+  if (cached && ctx) {
+    log('info', 'Cache expired, returning cached track while refreshing in the background');
+    refreshInBackground(ctx, `spotify:${env.KV_PREFIX || ''}${KV_KEY}`, () => refreshCurrentTrack(env, rules, cached, { ctx }));
+    return { data: withCurrentProgress(await publishedTrack(env, rules, cached)), timestamp: cached.timestamp };
+  }
+  
+  log('info', 'Cache expired or missing, fetching fresh data');
+  return refreshCurrentTrack(env, rules, cached, { ctx });
+}
+
+// Fetch the current track from the music providers and cache it if it changed.
+// Falls back to the stale `cached` entry if they are unavailable, unless
+// staleOnError is false.
+async function refreshCurrentTrack(env, rules, cached, { staleOnError = true, ctx } = {}) {
+  let track;
+  try {
+    track = await getLatestTrack(env, availableProviders(env));
+  } catch (error) {
+    if (!cached || !staleOnError) throw error;
+    log('warn', 'Fetch failed, returning stale cache', { error: error.message });
+    return { data: withCurrentProgress(await publishedTrack(env, rules, cached)), timestamp: cached.timestamp };
+  }
+  
+  // Only write to KV if track changed (reduces unnecessary writes). History
+  // is left to the scheduled handler, so lastRun is carried over unchanged:
+  // stamping it here would make the next cron run skip, and miss this play.
+  const existingTrack = cached?.data || null;
+  if (await trackChanged(env, track, existingTrack)) {
+    const cacheData = {
+      data: track,
+      timestamp: Date.now(),
+      lastRun: cached?.lastRun,
+    };
+    
+    const stored = await cache(env).put(KV_KEY, cacheData, {
+      expirationTtl: KV_TTL,
+    });
+    
+    const published = await publishedTrack(env, rules, cacheData);
+    // A change the budget kept out of KV is announced once it is stored, not on
+    // every request until then
+    if (stored) {
+      log('info', 'Cached track data via fetch handler', {
+        trackId: track?.trackId,
+        ttl: KV_TTL,
+        changed: true,
+      });
+      
+      await notifyStream(env, published);
+      await dispatchEvents(env, trackEvents(published, await publishedTrack(env, rules, cached)), { ctx, imageHosts: IMAGE_HOSTS });
+    }
+    return { data: published, timestamp: cacheData.timestamp };
+  }
+  
+  log('info', 'Track unchanged in fetch handler, skipping KV write', {
+    trackId: track?.trackId,
+  });
+  return { data: await publishedTrack(env, rules, { ...cached, data: track }), timestamp: cached?.timestamp || null };
+}
+
+// Durable Object stub for the live stream, or null when it isn't configured
+function getStreamStub(env) {
+  if (!env.NOW_PLAYING_STREAM) return null;
+  // One stream per user, so /u/:handle/stream only carries their tracks
+  const name = env.USER_HANDLE ? `now-playing:${env.USER_HANDLE}` : 'now-playing';
+  return env.NOW_PLAYING_STREAM.get(env.NOW_PLAYING_STREAM.idFromName(name));
+}
+
+// Push a changed track to /stream subscribers. Streaming is best-effort:
+// a failure here must never stop the KV cache from updating.
+async function notifyStream(env, track) {
+  const stub = getStreamStub(env);
+  if (!stub) return;
+  
+  try {
+    await stub.fetch('https://now-playing-stream/broadcast', {
+      method: 'POST',
+      body: JSON.stringify(track),
+    });
+    log('info', 'Broadcast track change to stream', { trackId: track?.trackId });
+  } catch (error) {
+    log('error', 'Failed to broadcast track change', { error: error.message });
+  }
+}
+
+// GET /stream - SSE by default, WebSocket when the request asks to upgrade
+async function handleStream({ request, env, url }) {
+  const stub = getStreamStub(env);
+  if (!stub) {
+    throw new HttpError(501, 'Streaming is not configured (missing NOW_PLAYING_STREAM binding)');
+  }
+  
+  return stub.fetch(new Request(`https://now-playing-stream/stream${url.search}`, request));
+}
+
+// Render the now-playing card. Cached for as long as the fetch handler caches
+// the track, so embeds never lag much behind the JSON endpoint.
+async function handleCard(format, { env, ctx, url }) {
+  const { data: track, timestamp } = await getCurrentTrack(env, { ctx });
+  const { theme, size } = getCardOptions(url);
+  const isEpisode = track?.type === 'episode';
+  
+  const svg = renderCardSVG({
+    theme,
+    size,
+    accent: SPOTIFY_GREEN,
+    label: track?.isPlaying ? 'Now playing' : (track ? 'Last played' : 'Spotify'),
+    title: track?.title || 'Not playing anything',
+    subtitle: track?.artist || '',
+    detail: isEpisode ? 'Podcast' : (track?.album || ''),
+    image: await fetchImageDataURI(track?.albumArt),
+    playing: !!track?.isPlaying,
+  });
+  
+  const maxAge = Math.round(FETCH_CACHE_TTL / 1000);
+  if (format === 'html') {
+    const html = renderCardHTML(svg, { title: track?.title || 'Spotify', link: track?.songUrl });
+    return cardResponse(html, 'html', maxAge, { lastModified: timestamp });
+  }
+  return cardResponse(svg, 'svg', maxAge, { lastModified: timestamp });
+}
+
+// Estimate the current playback position of a cached track, so clients can
+// draw a progress bar without the worker polling Spotify more often
+function withCurrentProgress(track, now = Date.now()) {
+  if (!track?.isPlaying || track.progressMs == null || !track.fetchedAt) {
+    return track;
+  }
+  
+  const elapsed = Math.max(0, now - track.fetchedAt);
+  const progressMs = track.durationMs
+    ? Math.min(track.durationMs, track.progressMs + elapsed)
+    : track.progressMs + elapsed;
+  
+  return { ...track, progressMs };
+}
+
+// Webhook event when a different track starts playing. Pausing, resuming or
+// falling back to the recently played track isn't one.
+function trackEvents(newTrack, existingTrack) {
+  const trackKey = (track) => track && (track.trackId || `${track.title}|${track.artist}`);
+  if (!newTrack?.isPlaying || trackKey(newTrack) === trackKey(existingTrack)) return [];
+  
+  return [createEvent('track.started', trackKey(newTrack), {
+    title: newTrack.title,
+    artist: newTrack.artist,
+    album: newTrack.album,
+    albumArt: newTrack.albumArt,
+    songUrl: newTrack.songUrl,
+    type: newTrack.type,
+  })];
+}
+
 // Compare two track objects for equality
 function tracksEqual(track1, track2) {
   if (!track1 && !track2) return true;
@@ -249,222 +1000,731 @@ function tracksEqual(track1, track2) {
            track1.isPlaying === track2.isPlaying;
   }
   
-  // Fallback to JSON comparison
-  return JSON.stringify(track1) === JSON.stringify(track2);
+  // Fallback to JSON comparison, ignoring playback position which changes every fetch
+  const stable = ({ progressMs, fetchedAt, ...rest }) => JSON.stringify(rest);
+  return stable(track1) === stable(track2);
 }
 
-export default {
-  async fetch(request, env) {
-    log('info', 'Received fetch request', {
-      method: request.method,
-      url: request.url,
+// Whether a fetched track is worth a KV write. Once the write budget is past
+// its conserve threshold only a different track counts, not play/pause.
+async function trackChanged(env, track, existingTrack) {
+  if (tracksEqual(track, existingTrack)) return false;
+  if (!track || !existingTrack || await cache(env).budgetLevel() === 'ok') return true;
+  
+  const changed = !tracksEqual({ ...track, isPlaying: null }, { ...existingTrack, isPlaying: null });
+  if (!changed) {
+    log('info', 'KV write budget running low, skipping play state change', {
+      trackId: track.trackId,
+      isPlaying: track.isPlaying,
     });
+  }
+  return changed;
+}
+
+// Privacy rules for what gets published, from env (see "Privacy Filters" in the README)
+// plus the tracks hidden through /admin/track/hide. Lists take Spotify IDs, URIs or
+// open.spotify.com links (and artists also MusicBrainz IDs, for tracks from Last.fm or ListenBrainz).
+async function getPrivacyRules(env) {
+  return {
+    hideExplicit: env.PRIVACY_HIDE_EXPLICIT === 'true',
+    hideTypes: parseSpotifyIds(env.PRIVACY_HIDE_TYPES), // 'track' and/or 'episode'
+    artists: parseSpotifyIds(env.PRIVACY_BLOCKED_ARTISTS),
+    shows: parseSpotifyIds(env.PRIVACY_BLOCKED_SHOWS),
+    playlists: parseSpotifyIds(env.PRIVACY_BLOCKED_PLAYLISTS),
+    quietHours: parseQuietHours(env.PRIVACY_QUIET_HOURS),
+    timeZone: env.HISTORY_TIMEZONE || 'UTC',
+    placeholder: parsePlaceholder(env.PRIVACY_PLACEHOLDER),
+    hiddenTracks: new Set((await getHiddenTracks(env)).map(track => track.key)),
+  };
+}
+
+// Tracks hidden through /admin/track/hide that haven't expired yet
+async function getHiddenTracks(env, { cacheTtl = EDGE_CACHE_TTL } = {}) {
+  const override = await getOverride(cache(env), HIDDEN_TRACKS_KEY, { cacheTtl });
+  return (override?.tracks || []).filter(track => track.expiresAt > Date.now());
+}
+
+// "spotify:artist:ID" and "https://open.spotify.com/artist/ID?si=..." both become "ID"
+function parseSpotifyIds(value) {
+  return new Set((value || '').split(',')
+    .map(item => item.trim().split('?')[0].split(/[:/]/).pop())
+    .filter(Boolean));
+}
+
+// "23:00-07:00" -> minutes after midnight; the range may wrap past midnight
+function parseQuietHours(value) {
+  if (!value) return null;
+  
+  const match = value.trim().match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+  if (!match) {
+    log('warn', 'Ignoring invalid PRIVACY_QUIET_HOURS, expected HH:MM-HH:MM', { value });
+    return null;
+  }
+  
+  const [, startHour, startMinute, endHour, endMinute] = match.map(Number);
+  return { start: startHour * 60 + startMinute, end: endHour * 60 + endMinute };
+}
+
+// Unset means "show the last allowed track instead". Otherwise a JSON track
+// object, JSON null (show nothing), or plain text to use as the title.
+function parsePlaceholder(value) {
+  if (value === undefined || value === '') return undefined;
+  
+  let placeholder;
+  try {
+    placeholder = JSON.parse(value);
+  } catch (error) {
+    placeholder = { title: value };
+  }
+  if (placeholder === null || typeof placeholder !== 'object') {
+    return placeholder === null ? null : { title: String(placeholder) };
+  }
+  
+  return {
+    isPlaying: false,
+    title: 'Private listening',
+    artist: '',
+    album: '',
+    albumArt: '',
+    songUrl: '',
+    trackId: null,
+    type: 'track',
+    durationMs: null,
+    progressMs: null,
+    palette: null,
+    ...placeholder,
+  };
+}
+
+function isQuietTime(rules, timestamp) {
+  if (!rules.quietHours || !timestamp) return false;
+  
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone: rules.timeZone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(new Date(timestamp));
+  const minutes = Number(parts.find(part => part.type === 'hour').value) * 60 +
+    Number(parts.find(part => part.type === 'minute').value);
+  
+  const { start, end } = rules.quietHours;
+  return start <= end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+}
+
+// Whether a track, play or top item may be published. `times` are the moments
+// it would reveal listening at; any of them inside quiet hours hides it.
+function isTrackAllowed(rules, track, times = []) {
+  if (!track) return true;
+  if (rules.hideExplicit && track.explicit) return false;
+  if (rules.hideTypes.has(track.type)) return false;
+  if ((track.artistIds || []).some(id => rules.artists.has(id))) return false;
+  if (track.showId && rules.shows.has(track.showId)) return false;
+  if (rules.hiddenTracks.has(playKey(track))) return false;
+  
+  const [, contextType, contextId] = (track.contextUri || '').split(':');
+  if (contextType === 'playlist' && rules.playlists.has(contextId)) return false;
+  
+  return !times.some(time => isQuietTime(rules, time));
+}
+
+// The track to record in history - hidden tracks are never recorded
+function allowedOrNull(rules, track, now) {
+  return isTrackAllowed(rules, track, [now]) ? track : null;
+}
+
+// What to publish for a current_track entry: the track if the rules allow it,
+// otherwise the placeholder or the last allowed track (as no longer playing),
+// which the history buffer keeps. Rules are applied on the way out, so they
+// also cover data cached before they were set.
+async function publishedTrack(env, rules, entry, now = Date.now()) {
+  const withoutContext = ({ contextUri, ...track }) => track;
+  const track = entry?.data || null;
+  if (!track) return null;
+  
+  if (isTrackAllowed(rules, track, [now, track.fetchedAt])) {
+    return withoutContext(track);
+  }
+  if (rules.placeholder !== undefined) {
+    return rules.placeholder;
+  }
+  
+  const buffer = await cache(env).get(HISTORY_BUFFER_KEY, { cacheTtl: EDGE_CACHE_TTL });
+  const fallback = [buffer?.lastAllowed, buffer?.previousAllowed]
+    .find(allowed => allowed && isTrackAllowed(rules, allowed, [allowed.fetchedAt]));
+  if (fallback) {
+    return withoutContext({ ...fallback, isPlaying: false });
+  }
+  return null;
+}
+
+// Calendar day (YYYY-MM-DD) for a timestamp in the configured timezone
+function historyDate(timestamp, env) {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: env.HISTORY_TIMEZONE || 'UTC',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).format(new Date(timestamp));
+}
+
+function historyKey(date) {
+  return `${HISTORY_KEY_PREFIX}${date}`;
+}
+
+// Identity used to detect a new track - pause/resume of the same track isn't a new play
+function playKey(track) {
+  return track.trackId || `${track.title}|${track.artist}`;
+}
+
+// Add the track to the buffered history if it's a different track from the
+// last recorded play. Returns the new buffer, or the same one if nothing changed.
+function appendPlay(history, track, now) {
+  const state = history || { pending: [], lastPlayKey: null, lastAllowed: null, previousAllowed: null };
+  if (!track?.title || playKey(track) === state.lastPlayKey) {
+    return state;
+  }
+  
+  const play = {
+    trackId: track.trackId || null,
+    title: track.title,
+    artist: track.artist,
+    album: track.album,
+    albumArt: track.albumArt,
+    songUrl: track.songUrl,
+    type: track.type,
+    durationMs: track.durationMs ?? null,
+    explicit: !!track.explicit,
+    artistIds: track.artistIds || [],
+    showId: track.showId || null,
+    playedAt: new Date(now).toISOString(),
+  };
+  
+  return {
+    pending: [...state.pending, play],
+    lastPlayKey: playKey(track),
+    // Shown while a hidden track plays. The one before covers a track that
+    // was recorded and then hidden through /admin/track/hide.
+    lastAllowed: track,
+    previousAllowed: state.lastAllowed,
+  };
+}
+
+// Merge buffered plays into their day buckets. Plays already in a bucket are
+// skipped, so flushing the same buffer twice is harmless, and a bucket is
+// only written when it actually gains plays.
+async function flushHistory(env, pending) {
+  const byDate = {};
+  for (const play of pending || []) {
+    const date = historyDate(Date.parse(play.playedAt), env);
+    (byDate[date] = byDate[date] || []).push(play);
+  }
+  
+  let written = 0;
+  for (const [date, plays] of Object.entries(byDate)) {
+    const bucket = await cache(env).get(historyKey(date)) || { date, plays: [] };
+    const merged = mergePlays(bucket.plays, plays);
+    if (merged.length === bucket.plays.length) continue;
+    
+    await cache(env).put(historyKey(date), { date, plays: merged }, {
+      expirationTtl: HISTORY_RETENTION_DAYS * 86400,
+    });
+    written++;
     
-    // Handle CORS preflight
-    if (request.method === 'OPTIONS') {
-      log('info', 'Handling CORS preflight request');
-      return new Response(null, { headers: CORS_HEADERS });
+    log('info', 'Flushed listening history to KV', {
+      date,
+      added: merged.length - bucket.plays.length,
+      total: merged.length,
+    });
+  }
+  
+  return written;
+}
+
+// Combine plays oldest-first, dropping exact duplicates and re-detections of
+// the same track while it could still be the same play (e.g. after current_track
+// expired during a pause and the track was picked up again)
+function mergePlays(existing, incoming) {
+  const sorted = [...existing, ...incoming].sort((a, b) => a.playedAt.localeCompare(b.playedAt));
+  const merged = [];
+  
+  for (const play of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && playKey(last) === playKey(play)) {
+      const gap = Date.parse(play.playedAt) - Date.parse(last.playedAt);
+      if (gap < (last.durationMs || 0) || gap === 0) continue;
     }
+    merged.push(play);
+  }
+  
+  return merged;
+}
+
+// Record the latest track in the history buffer if it's a new play, flushing
+// when the buffer is full or holds plays from an earlier day. Only the
+// scheduled handler calls this, one run at a time, so no other writer can
+// overwrite the buffer with an older copy. The buffer is written only when it
+// changed.
+async function updateHistory(env, track, now) {
+  const buffer = await cache(env).get(HISTORY_BUFFER_KEY);
+  let history = appendPlay(buffer, track, now);
+  
+  const today = historyDate(now, env);
+  const shouldFlush = history.pending.length >= HISTORY_FLUSH_SIZE ||
+    history.pending.some(play => historyDate(Date.parse(play.playedAt), env) !== today);
+  
+  if (shouldFlush) {
+    await flushHistory(env, history.pending);
+    history = { ...history, pending: [] };
+  } else if (history === buffer) {
+    return;
+  }
+  
+  await cache(env).put(HISTORY_BUFFER_KEY, history, {
+    expirationTtl: HISTORY_RETENTION_DAYS * 86400,
+  });
+}
+
+// Listening stats for one day's plays. Listening time is each play's duration,
+// cut short when the next play started before it could have finished.
+function summarizePlays(date, plays) {
+  const artists = {};
+  let listeningMs = 0;
+  
+  plays.forEach((play, index) => {
+    const next = plays[index + 1];
+    const untilNext = next ? Date.parse(next.playedAt) - Date.parse(play.playedAt) : Infinity;
+    listeningMs += Math.min(play.durationMs || 0, untilNext);
     
-    try {
-      // Check cache first (cache for 30 seconds)
-      const cached = await env.MY_KV_NAMESPACE.get(KV_KEY, 'json');
-      if (cached && cached.timestamp && Date.now() - cached.timestamp < FETCH_CACHE_TTL) {
-        const age = Date.now() - cached.timestamp;
-        log('info', 'Returning cached track data', {
-          ageMs: age,
-          trackId: cached.data?.trackId,
-        });
-        return new Response(JSON.stringify(cached.data), { headers: CORS_HEADERS });
-      }
-      
-      log('info', 'Cache expired or missing, fetching fresh data');
-      
-      // Get fresh access token
-      const { access_token } = await getAccessToken(env);
-      
-      // Try to get currently playing
-      let track = await getNowPlaying(access_token);
-      
-      // If nothing playing, get recently played
-      if (!track) {
-        log('info', 'No currently playing track, fetching recently played');
-        track = await getRecentlyPlayed(access_token);
-      }
-      
-      // Only write to KV if track changed (reduces unnecessary writes)
-      const existingTrack = cached?.data || null;
-      if (!tracksEqual(track, existingTrack)) {
-        const cacheData = {
-          data: track,
-          timestamp: Date.now(),
-          lastRun: Date.now(), // Include lastRun for scheduled handler
-        };
-        
-        await env.MY_KV_NAMESPACE.put(KV_KEY, JSON.stringify(cacheData), {
-          expirationTtl: KV_TTL,
-        });
-        
-        log('info', 'Cached track data via fetch handler', {
-          trackId: track?.trackId,
-          ttl: KV_TTL,
-          changed: true,
-        });
-      } else {
-        log('info', 'Track unchanged in fetch handler, skipping KV write', {
-          trackId: track?.trackId,
+    // Counted by the artist credit as shown - splitting on commas would break names like "Tyler, The Creator"
+    if (play.artist) {
+      artists[play.artist] = (artists[play.artist] || 0) + 1;
+    }
+  });
+  
+  const topArtists = Object.entries(artists)
+    .sort(([nameA, countA], [nameB, countB]) => countB - countA || nameA.localeCompare(nameB))
+    .slice(0, TOP_ARTISTS_LIMIT)
+    .map(([artist, count]) => ({ artist, plays: count }));
+  
+  return {
+    date,
+    plays: plays.length,
+    listeningMinutes: Math.round(listeningMs / 60000),
+    topArtists,
+  };
+}
+
+// All plays for a day, including plays still in the history buffer.
+// Plays the privacy rules hide are left out, whenever they were recorded.
+async function getPlaysForDate(env, date) {
+  const bucket = await cache(env).get(historyKey(date));
+  const buffer = await cache(env).get(HISTORY_BUFFER_KEY);
+  const pending = (buffer?.pending || [])
+    .filter(play => historyDate(Date.parse(play.playedAt), env) === date);
+  const plays = mergePlays(bucket?.plays || [], pending);
+  
+  const rules = await getPrivacyRules(env);
+  return plays.filter(play => isTrackAllowed(rules, play, [Date.parse(play.playedAt)]));
+}
+
+// Plays from today and yesterday as feed events. Like /history, the full list
+// needs an API key once API_KEYS is set; otherwise only the latest play is shown.
+async function getListeningEvents(env, { authorized, base }) {
+  const now = Date.now();
+  let plays = [
+    ...await getPlaysForDate(env, historyDate(now - 86400000, env)),
+    ...await getPlaysForDate(env, historyDate(now, env)),
+  ];
+  if (!authorized) {
+    plays = plays.slice(-1);
+  }
+  
+  const events = plays.map(play => createEvent('track.started', playKey(play), {
+    title: play.title,
+    artist: play.artist,
+    album: play.album,
+    albumArt: play.albumArt,
+    songUrl: play.songUrl,
+    type: play.type,
+  }, Date.parse(play.playedAt)));
+  return withProxiedImages(events, base, IMAGE_HOSTS);
+}
+
+// GET /history?date=YYYY-MM-DD&cursor=&limit= - newest plays first.
+// The cursor is the playedAt of the last play on the previous page.
+async function handleHistory({ url, env, base }) {
+  const date = url.searchParams.get('date') || historyDate(Date.now(), env);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    throw new HttpError(400, 'Invalid date, expected YYYY-MM-DD');
+  }
+  
+  const limit = Math.min(
+    parseInt(url.searchParams.get('limit'), 10) || HISTORY_PAGE_LIMIT,
+    HISTORY_MAX_PAGE_LIMIT
+  );
+  const cursor = url.searchParams.get('cursor');
+  
+  const plays = await getPlaysForDate(env, date);
+  const newestFirst = [...plays].reverse();
+  const remaining = cursor
+    ? newestFirst.filter(play => play.playedAt < cursor)
+    : newestFirst;
+  const page = remaining.slice(0, Math.max(1, limit));
+  
+  return jsonResponse({
+    date,
+    summary: summarizePlays(date, plays),
+    plays: page.map(play => withProxiedArt(play, base)),
+    nextCursor: remaining.length > page.length ? page[page.length - 1].playedAt : null,
+  });
+}
+
+// GET /history/summary?days=7 - daily summaries, most recent day first
+async function handleHistorySummary({ url, env }) {
+  const days = Math.min(
+    Math.max(parseInt(url.searchParams.get('days'), 10) || 7, 1),
+    HISTORY_MAX_SUMMARY_DAYS
+  );
+  
+  const summaries = [];
+  for (let i = 0; i < days; i++) {
+    const date = historyDate(Date.now() - i * 86400000, env);
+    summaries.push(summarizePlays(date, await getPlaysForDate(env, date)));
+  }
+  
+  return jsonResponse({ days: summaries });
+}
+
+// GET / (and any other path) - the current or last played track
+async function handleNowPlaying({ env, ctx, base }) {
+  const { data: track, timestamp } = await getCurrentTrack(env, { ctx });
+  return jsonResponse(withProxiedArt(track, base), 200, cacheHeaders(EDGE_CACHE_TTL, { lastModified: timestamp }));
+}
+
+// The current or last played track for the combined worker's /now, as
+// { data, timestamp }. Only read from KV: current_track while it lasts, and
+// after it expires the newest play in today's or yesterday's history, which
+// keeps fewer fields (and never isPlaying).
+async function getCachedTrack(env, { base }) {
+  const rules = await getPrivacyRules(env);
+  const cached = await cache(env).get(KV_KEY, { cacheTtl: EDGE_CACHE_TTL });
+  if (cached) {
+    return { data: withProxiedArt(withCurrentProgress(await publishedTrack(env, rules, cached)), base), timestamp: cached.timestamp };
+  }
+  
+  const now = Date.now();
+  for (const date of [historyDate(now, env), historyDate(now - 86400000, env)]) {
+    const lastPlay = (await getPlaysForDate(env, date)).at(-1);
+    if (lastPlay) {
+      return { data: withProxiedArt({ ...lastPlay, isPlaying: false }, base), timestamp: Date.parse(lastPlay.playedAt) };
+    }
+  }
+  return { data: null, timestamp: null };
+}
+
+// Extra /status fields: where the refresh token comes from and when the
+// current access token expires. Never the tokens themselves.
+async function tokenStatus(env) {
+  const stored = await cache(env).get(REFRESH_TOKEN_KV_KEY);
+  const storedIsCurrent = !!stored?.refreshToken &&
+    stored.secretFingerprint === await tokenFingerprint(env.SPOTIFY_REFRESH_TOKEN);
+  const token = tokenState(env).token || await cache(env).get(TOKEN_KV_KEY);
+  
+  return {
+    spotify: {
+      refreshToken: storedIsCurrent ? 'kv' : env.SPOTIFY_REFRESH_TOKEN ? 'secret' : null,
+      authorizedAt: storedIsCurrent && stored.authorizedAt ? new Date(stored.authorizedAt).toISOString() : null,
+      accessTokenExpiresAt: token?.expiresAt ? new Date(token.expiresAt).toISOString() : null,
+    },
+  };
+}
+
+// Whether this account has connected Spotify, through the secret or /auth/login
+async function hasSpotifyAccount(env) {
+  return !!env.SPOTIFY_REFRESH_TOKEN || !!(await cache(env).get(REFRESH_TOKEN_KV_KEY))?.refreshToken;
+}
+
+// Whether this account has any music provider to refresh now playing from
+async function hasAccount(env) {
+  return hasMusicAccount(env, availableProviders(env));
+}
+
+// Refresh track data every 2 minutes (120 seconds)
+// Cron runs every 2 minutes (*/2 * * * *) and we enforce 120-second intervals via timestamp check,
+// unless `force` is set (for /admin/scheduled)
+async function refreshNowPlaying(event, env, ctx, { force = false } = {}) {
+  try {
+    // Read existing track data from KV (contains lastRun timestamp)
+    const existingData = await cache(env).get(KV_KEY);
+    const now = Date.now();
+    
+    // Check if we should run (enforce 90-second interval using lastRun from cache)
+    const lastRun = existingData?.lastRun;
+    if (lastRun && !force) {
+      const timeSinceLastRun = now - lastRun;
+      if (timeSinceLastRun < SCHEDULE_INTERVAL) {
+        // Skip this run, too soon
+        log('info', 'Skipping scheduled run - interval not reached', {
+          timeSinceLastRunMs: timeSinceLastRun,
+          requiredIntervalMs: SCHEDULE_INTERVAL,
         });
+        return;
       }
-      
-      return new Response(JSON.stringify(track), { headers: CORS_HEADERS });
-      
-    } catch (error) {
-      log('error', 'Error in fetch handler', {
-        error: error.message,
-        stack: error.stack,
+    }
+    
+    log('info', 'Proceeding with scheduled run');
+    
+    const existingTrack = existingData?.data || null;
+    
+    if (existingTrack) {
+      log('info', 'Found existing track in KV', {
+        trackId: existingTrack.trackId,
+        title: existingTrack.title,
+        isPlaying: existingTrack.isPlaying,
       });
-      
-      return new Response(
-        JSON.stringify({ error: 'Failed to fetch Spotify data', message: error.message }),
-        { status: 500, headers: CORS_HEADERS }
-      );
+    } else {
+      log('info', 'No existing track data in KV');
     }
-  },
-  
-  // Scheduled event to refresh track data every 2 minutes (120 seconds)
-  // Cron runs every 2 minutes (*/2 * * * *) and we enforce 120-second intervals via timestamp check
-  async scheduled(event, env, ctx) {
-    log('info', 'Scheduled handler triggered', {
-      cron: event.cron,
-      scheduledTime: event.scheduledTime,
-    });
     
+    // Fetch the playing (or, when nothing is playing, the last played) track,
+    // so we update when a new track starts even if it's not currently "playing"
+    let newTrack = null;
     try {
-      // Read existing track data from KV (contains lastRun timestamp)
-      const existingData = await env.MY_KV_NAMESPACE.get(KV_KEY, 'json');
-      const now = Date.now();
+      newTrack = await getLatestTrack(env, availableProviders(env));
       
-      // Check if we should run (enforce 90-second interval using lastRun from cache)
-      const lastRun = existingData?.lastRun;
-      if (lastRun) {
-        const timeSinceLastRun = now - lastRun;
-        if (timeSinceLastRun < SCHEDULE_INTERVAL) {
-          // Skip this run, too soon
-          log('info', 'Skipping scheduled run - interval not reached', {
-            timeSinceLastRunMs: timeSinceLastRun,
-            requiredIntervalMs: SCHEDULE_INTERVAL,
+      // Keep the existing track if there's nothing newer
+      if (!newTrack) {
+        if (existingTrack) {
+          // No recently played and nothing currently playing, keep existing
+          // Only update lastRun timestamp if track changed or if we need to track runs
+          log('info', 'No recently played track found, keeping existing track data', {
+            existingTrackId: existingTrack.trackId,
           });
+          // Skip write - track unchanged, no KV write needed. Buffered
+          // plays from an earlier day are still flushed.
+          await updateHistory(env, null, now);
+          return;
+        } else {
+          // No data at all
+          log('info', 'No track data available (no current, no recently played, no existing)');
+          // Skip write - no data to store
           return;
         }
       }
-      
-      log('info', 'Proceeding with scheduled run');
-      
-      const existingTrack = existingData?.data || null;
-      
-      if (existingTrack) {
-        log('info', 'Found existing track in KV', {
-          trackId: existingTrack.trackId,
-          title: existingTrack.title,
-          isPlaying: existingTrack.isPlaying,
-        });
-      } else {
-        log('info', 'No existing track data in KV');
-      }
-      
-      // Get fresh access token
-      const { access_token } = await getAccessToken(env);
-      
-      // Fetch latest currently playing track
-      let newTrack = null;
-      try {
-        newTrack = await getNowPlaying(access_token);
-        
-        // If nothing playing, always check recently played to get the latest track
-        // This ensures we update when a new track starts even if it's not currently "playing"
-        if (!newTrack) {
-          log('info', 'No track currently playing, fetching recently played track');
-          const recentlyPlayed = await getRecentlyPlayed(access_token);
-          
-          // Use recently played if available, otherwise keep existing (if exists)
-          if (recentlyPlayed) {
-            newTrack = recentlyPlayed;
-            log('info', 'Using recently played track', {
-              trackId: newTrack.trackId,
-              title: newTrack.title,
-            });
-          } else if (existingTrack) {
-            // No recently played and nothing currently playing, keep existing
-            // Only update lastRun timestamp if track changed or if we need to track runs
-            log('info', 'No recently played track found, keeping existing track data', {
-              existingTrackId: existingTrack.trackId,
-            });
-            // Skip write - track unchanged, no KV write needed
-            return;
-          } else {
-            // No data at all
-            log('info', 'No track data available (no current, no recently played, no existing)');
-            // Skip write - no data to store
-            return;
-          }
-        }
-      } catch (apiError) {
-        // API failure - log and skip write (no KV operations to avoid hitting limits)
-        log('error', 'Spotify API error in scheduled handler', {
-          error: apiError.message,
-          stack: apiError.stack,
-          existingTrackAvailable: !!existingTrack,
-        });
-        // Don't write anything - skip to avoid KV writes on errors
-        return;
-      }
-      
-      // Compare new track with stored track
-      if (tracksEqual(newTrack, existingTrack)) {
-        // Track hasn't changed, skip write to minimize KV operations
-        log('info', 'Track unchanged, skipping KV write', {
-          trackId: newTrack?.trackId,
-          title: newTrack?.title,
-        });
-        // No KV write needed - track unchanged
-        return;
-      }
-      
-      // Track changed or no data existed - write to KV (only write when data changes)
-      const cacheData = {
-        data: newTrack,
-        timestamp: now,
-        lastRun: now, // Include lastRun timestamp in same write
-      };
-      
-      await env.MY_KV_NAMESPACE.put(KV_KEY, JSON.stringify(cacheData), {
-        expirationTtl: KV_TTL,
-      });
-      
-      const changeInfo = existingTrack ? {
-        oldTrackId: existingTrack.trackId,
-        oldTitle: existingTrack.title,
-        newTrackId: newTrack?.trackId,
-        newTitle: newTrack?.title,
-        wasPlaying: existingTrack.isPlaying,
-        isNowPlaying: newTrack?.isPlaying,
-      } : {
-        action: 'initial_write',
-        newTrackId: newTrack?.trackId,
-        newTitle: newTrack?.title,
-      };
-      
-      log('info', 'Spotify cache updated via scheduled handler', {
-        ...changeInfo,
-        ttl: KV_TTL,
+    } catch (apiError) {
+      // API failure - log and skip write (no KV operations to avoid hitting limits)
+      log('error', 'Music provider error in scheduled handler', {
+        error: apiError.message,
+        stack: apiError.stack,
+        existingTrackAvailable: !!existingTrack,
       });
-    } catch (error) {
-      log('error', 'Failed to update Spotify cache in scheduled handler', {
-        error: error.message,
-        stack: error.stack,
+      // Don't write anything - skip to avoid KV writes on errors
+      return;
+    }
+    
+    // History is recorded here whether or not current_track changed, since a
+    // request may already have stored this track
+    const rules = await getPrivacyRules(env);
+    await updateHistory(env, allowedOrNull(rules, newTrack, now), now);
+    
+    // Compare new track with stored track
+    if (!await trackChanged(env, newTrack, existingTrack)) {
+      // Track hasn't changed, skip write to minimize KV operations
+      log('info', 'Track unchanged, skipping KV write', {
+        trackId: newTrack?.trackId,
+        title: newTrack?.title,
       });
-      // Don't throw - scheduled handlers should not throw errors
+      // No KV write needed - track unchanged
+      return;
     }
-  },
-};
+    
+    // Track changed or no data existed - write to KV (only write when data changes)
+    const cacheData = {
+      data: newTrack,
+      timestamp: now,
+      lastRun: now, // Include lastRun timestamp in same write
+    };
+    
+    if (!await cache(env).put(KV_KEY, cacheData, { expirationTtl: KV_TTL })) {
+      return;
+    }
+    
+    const changeInfo = existingTrack ? {
+      oldTrackId: existingTrack.trackId,
+      oldTitle: existingTrack.title,
+      newTrackId: newTrack?.trackId,
+      newTitle: newTrack?.title,
+      wasPlaying: existingTrack.isPlaying,
+      isNowPlaying: newTrack?.isPlaying,
+    } : {
+      action: 'initial_write',
+      newTrackId: newTrack?.trackId,
+      newTitle: newTrack?.title,
+    };
+    
+    log('info', 'Spotify cache updated via scheduled handler', {
+      ...changeInfo,
+      ttl: KV_TTL,
+    });
+    
+    const published = await publishedTrack(env, rules, cacheData, now);
+    await notifyStream(env, published);
+    await dispatchEvents(env, trackEvents(published, await publishedTrack(env, rules, existingData, now)), {
+      ctx,
+      imageHosts: IMAGE_HOSTS,
+    });
+  } catch (error) {
+    log('error', 'Failed to update Spotify cache in scheduled handler', {
+      error: error.message,
+      stack: error.stack,
+    });
+    // Don't throw - scheduled handlers should not throw errors
+  }
+}
+
+// Hidden tracks as the admin routes show them, with ISO dates
+function formatHiddenTracks(tracks) {
+  return tracks.map(track => ({ ...track, expiresAt: new Date(track.expiresAt).toISOString() }));
+}
 
+// GET /admin/track/hide - the tracks hidden right now
+async function handleGetHiddenTracks({ env }) {
+  return adminResponse({ hidden: formatHiddenTracks(await getHiddenTracks(env, { cacheTtl: 0 })) });
+}
+
+// POST /admin/track/hide - hide the current track until expiresIn seconds from
+// now. Like the privacy filters, this covers now playing, history, feeds and
+// top lists; meanwhile the last allowed track (or PRIVACY_PLACEHOLDER) is shown.
+async function handleHideTrack({ request, env }) {
+  const { expiresAt } = await readOverrideRequest(request, { defaultTtl: HIDDEN_TRACK_TTL });
+  const cached = await cache(env).get(KV_KEY);
+  const track = cached?.data;
+  if (!track?.title) {
+    throw new HttpError(404, 'No current track to hide');
+  }
+  
+  // Hiding a track again replaces its expiry; other tracks stay hidden as they were
+  const key = playKey(track);
+  const tracks = [
+    ...(await getHiddenTracks(env, { cacheTtl: 0 })).filter(hidden => hidden.key !== key),
+    { key, title: track.title, artist: track.artist, expiresAt },
+  ];
+  await putOverride(cache(env), HIDDEN_TRACKS_KEY, {
+    tracks,
+    setAt: Date.now(),
+    expiresAt: Math.max(...tracks.map(hidden => hidden.expiresAt)),
+  });
+  log('info', 'Track hidden', { trackId: track.trackId, title: track.title, expiresAt: new Date(expiresAt).toISOString() });
+  
+  // Live listeners switch to whatever is shown instead right away
+  await notifyStream(env, await publishedTrack(env, await getPrivacyRules(env), cached));
+  return adminResponse({ hidden: formatHiddenTracks(tracks) });
+}
+
+// DELETE /admin/track/hide - show every hidden track again
+async function handleUnhideTracks({ env }) {
+  await cache(env).delete(HIDDEN_TRACKS_KEY);
+  log('info', 'Hidden tracks shown again');
+  
+  await notifyStream(env, await publishedTrack(env, await getPrivacyRules(env), await cache(env).get(KV_KEY)));
+  return adminResponse({ hidden: [] });
+}
+
+// DELETE /admin/cache - forget the cached track, so the next request or cron
+// run asks the music providers. The history buffer is kept.
+async function handleClearCache({ env }) {
+  await cache(env).delete(KV_KEY);
+  return adminResponse({ cleared: KV_KEY });
+}
+
+// POST /admin/refresh - ask the music providers for the current track now,
+// whatever its cache TTL. Fails rather than serving the cache if they do.
+async function handleForceRefresh({ env, ctx, base }) {
+  const rules = await getPrivacyRules(env);
+  const cached = await cache(env).get(KV_KEY);
+  const { data, timestamp } = await refreshCurrentTrack(env, rules, cached, { staleOnError: false, ctx });
+  return adminResponse({
+    data: withProxiedArt(withCurrentProgress(data), base),
+    updatedAt: timestamp ? new Date(timestamp).toISOString() : null,
+  });
+}
+
+// POST /admin/scheduled?job=now-playing|top - run a scheduled job for this
+// account now, ignoring its interval. Failures are logged, as in the cron
+// run, not returned.
+async function handleRunScheduled({ env, ctx, url }) {
+  const jobs = {
+    'now-playing': { run: (event) => refreshNowPlaying(event, env, ctx, { force: true }), hasAccount },
+    'top': { run: (event) => refreshAllTopItems(event, env), hasAccount: hasSpotifyAccount },
+  };
+  const name = url.searchParams.get('job') || 'now-playing';
+  const job = jobs[name];
+  if (!job) {
+    throw new HttpError(400, `Unknown job "${name}", expected ${Object.keys(jobs).join(' or ')}`);
+  }
+  if (!await job.hasAccount(env)) {
+    throw new HttpError(404, 'No account connected for this job');
+  }
+  
+  const startedAt = Date.now();
+  await job.run({ cron: 'admin', scheduledTime: startedAt });
+  return adminResponse({ ran: name, startedAt: new Date(startedAt).toISOString(), durationMs: Date.now() - startedAt });
+}
+
+const router = new Router({ errorMessage: 'Failed to fetch Spotify data' });
+// Every route is also served per user under /u/:handle (see USERS in the README)
+addUserRoutes(router)
+  // Browser sign-in with Spotify, gated by an ADMIN_KEYS key entered in a form
+  .get('/auth/login', handleAuthLogin)
+  .on('POST', '/auth/login', handleAuthLogin)
+  .get('/auth/callback', handleAuthCallback)
+  // Token expiry and upstream errors are for the owner only, so ADMIN_KEYS as for the admin routes
+  .get('/status', statusHandler('spotify', tokenStatus), { admin: true })
+  // Manual overrides and cache control, see "Admin API" in the README
+  .get('/admin/track/hide', handleGetHiddenTracks, { admin: true })
+  .on('POST', '/admin/track/hide', handleHideTrack, { admin: true })
+  .on('DELETE', '/admin/track/hide', handleUnhideTracks, { admin: true })
+  .on('DELETE', '/admin/cache', handleClearCache, { admin: true })
+  .on('POST', '/admin/refresh', handleForceRefresh, { admin: true })
+  .on('POST', '/admin/scheduled', handleRunScheduled, { admin: true })
+  // Play-by-play history shows when you're listening, so it needs an API key once API_KEYS is set
+  .get('/history', handleHistory, { private: true })
+  .get('/history/summary', handleHistorySummary, { private: true })
+  .get('/stream', handleStream)
+  .get('/top/:type', handleTop)
+  .get('/image/:id', imageHandler(IMAGE_HOSTS))
+  .get('/card.svg', (context) => handleCard('svg', context))
+  .get('/card.html', (context) => handleCard('html', context));
+addFeedRoutes(router, getListeningEvents)
+  // Every other path serves the now-playing JSON, as it always has
+  .get('*', handleNowPlaying);
+
+export default {
+  fetch: createFetchHandler(router, { service: 'spotify' }),
+  
+  // Top lists have their own, much slower trigger; every other cron refreshes now playing.
+  // Both run for each account that has connected Spotify.
+  scheduled: createScheduledHandler({
+    [TOP_REFRESH_CRON]: forEachAccount(refreshAllTopItems, {
+      interval: TOP_CACHE_TTL,
+      hasAccount: hasSpotifyAccount,
+      subrequestsPerAccount: TOP_REFRESH_SUBREQUESTS,
+    }),
+    '*': forEachAccount(refreshNowPlaying, {
+      interval: SCHEDULE_INTERVAL,
+      hasAccount,
+      subrequestsPerAccount: NOW_PLAYING_SUBREQUESTS,
+    }),
+  }, { service: 'spotify' }),
+  
+  // Delivers queued webhooks (see WEBHOOK_QUEUE in the README)
+  queue: handleWebhookQueue,
+  
+  // Exposed so the combined worker (worker.js) can mount these routes,
+  // merge this worker's events into its feed, proxy its images and serve /now
+  router,
+  activity: getListeningEvents,
+  imageHosts: IMAGE_HOSTS,
+  now: getCachedTrack,
+};
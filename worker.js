@@ -0,0 +1,122 @@
+// Combined Worker
+// Serves both integrations from one deployment:
+//   /goodreads/* - goodreads-worker.js routes (e.g. /goodreads/shelves/read)
+//   /spotify/*   - spotify-worker.js routes (e.g. /spotify/top/tracks)
+//   /feed.xml, /feed.atom, /feed.json - reading and listening activity combined
+//   /now          - the current book and track in one response
+//   /image/:id    - covers and album art in the combined feed and webhooks
+//   /u/:handle/*  - all of the above for one of the users in USERS
+// The standalone workers still deploy on their own with their own wrangler configs.
+
+import goodreads from './goodreads-worker.js';
+import spotify from './spotify-worker.js';
+import { addFeedRoutes } from './lib/feed.js';
+import { HttpError, cacheHeaders, jsonResponse } from './lib/http.js';
+import { imageHandler } from './lib/images.js';
+import { Router, createFetchHandler } from './lib/router.js';
+import { log } from './lib/log.js';
+import { addUserRoutes } from './lib/users.js';
+import { handleWebhookQueue } from './lib/webhooks.js';
+
+// Durable Object classes must be exported from the entry module
+export { NowPlayingStream } from './lib/now-playing-stream.js';
+export { UsageMeter } from './lib/usage.js';
+
+// Each cron expression in wrangler.toml belongs to one integration
+const CRON_JOBS = {
+  '*/30 * * * *': goodreads.scheduled,
+  '*/2 * * * *': spotify.scheduled,
+  '0 */6 * * *': spotify.scheduled, // Spotify top tracks/artists
+};
+
+// Both workers' events in one feed. A source that fails is left out rather
+// than failing the whole feed.
+async function getAllEvents(env, context) {
+  const sources = { goodreads, spotify };
+  const events = await Promise.all(Object.entries(sources).map(async ([service, worker]) => {
+    try {
+      return await worker.activity(env, context);
+    } catch (error) {
+      log('error', 'Failed to load feed events', { service, error: error.message });
+      return [];
+    }
+  }));
+  return events.flat();
+}
+
+// /now response format, bumped when a field changes meaning or goes away
+const NOW_VERSION = 1;
+// /now sections and the worker each is read from. Sections only read the
+// workers' KV caches, never Goodreads or the music providers.
+const NOW_SECTIONS = {
+  book: { worker: goodreads, mount: '/goodreads', errorMessage: 'Failed to load the current book' },
+  track: { worker: spotify, mount: '/spotify', errorMessage: 'Failed to load the current track' },
+};
+const NOW_MAX_AGE = 30; // Seconds, like the now-playing endpoint
+
+// Sections picked with ?fields=book,track - all of them by default
+function parseNowFields(url) {
+  const fields = (url.searchParams.get('fields') || '')
+    .split(',')
+    .map(field => field.trim().toLowerCase())
+    .filter(Boolean);
+  
+  const unknown = fields.find(field => !NOW_SECTIONS[field]);
+  if (unknown) {
+    throw new HttpError(400, `Unknown field "${unknown}", expected ${Object.keys(NOW_SECTIONS).join(', ')}`);
+  }
+  return fields.length > 0 ? [...new Set(fields)] : Object.keys(NOW_SECTIONS);
+}
+
+// GET /now - the current book and track, each with when it was last updated.
+// A section that fails gets the { error, message } envelope instead of its
+// data, so one broken cache doesn't take the others down with it.
+async function handleNow({ env, url, authorized, base }) {
+  const fields = parseNowFields(url);
+  const sections = await Promise.all(fields.map(async (field) => {
+    const { worker, mount, errorMessage } = NOW_SECTIONS[field];
+    try {
+      const { data, timestamp } = await worker.now(env, { authorized, base: base + mount });
+      return [field, { data, updatedAt: timestamp ? new Date(timestamp).toISOString() : null }];
+    } catch (error) {
+      log('error', 'Failed to load /now section', { field, error: error.message });
+      return [field, { data: null, updatedAt: null, error: errorMessage, message: error.message }];
+    }
+  }));
+  
+  // A failed section isn't cached, any more than an error response would be
+  const timestamps = sections.map(([, section]) => Date.parse(section.updatedAt)).filter(Number.isFinite);
+  const headers = sections.some(([, section]) => section.error)
+    ? { 'Cache-Control': 'no-store' }
+    : cacheHeaders(NOW_MAX_AGE, { lastModified: timestamps.length > 0 ? Math.max(...timestamps) : undefined });
+  
+  return jsonResponse({
+    version: NOW_VERSION,
+    generatedAt: new Date().toISOString(),
+    ...Object.fromEntries(sections),
+  }, 200, headers);
+}
+
+const router = new Router();
+addUserRoutes(router)
+  .mount('/goodreads', goodreads.router)
+  .mount('/spotify', spotify.router);
+addFeedRoutes(router, getAllEvents)
+  .get('/now', handleNow)
+  // Either worker's images, so the combined feed and PUBLIC_URL need no mount
+  .get('/image/:id', imageHandler([...goodreads.imageHosts, ...spotify.imageHosts]));
+
+export default {
+  fetch: createFetchHandler(router, { service: 'combined' }),
+  
+  async scheduled(event, env, ctx) {
+    const job = CRON_JOBS[event.cron];
+    if (!job) {
+      log('warn', 'No integration registered for cron', { cron: event.cron });
+      return;
+    }
+    await job(event, env, ctx);
+  },
+  
+  queue: handleWebhookQueue,
+};